@@ -1,182 +1,214 @@
 // DFA Builder & Tester - Main Application
-
-class DFA {
-  constructor() {
-    this.states = [];
-    this.alphabet = new Set(["0", "1"]);
-    this.startState = null;
-    this.currentState = null;
-    this.stateIdCounter = 0;
-  }
-
-  addState(x, y, name = null) {
-    const id = this.stateIdCounter++;
-    const state = {
-      id: id,
-      name: name || `q${id}`,
-      x: x,
-      y: y,
-      radius: 30,
-      isStart: false,
-      isAccept: false,
-      transitions: {},
-    };
-    this.states.push(state);
-    return state;
+//
+// The canvas editor and the page. The automaton engine is in dfa.js.
+
+// A stand-in for CanvasRenderingContext2D that records the drawing as
+// SVG elements, so the canvas drawing code can also produce standalone
+// SVG. Only the calls DFACanvas makes are supported. Text is measured
+// with a real canvas context so labels get the same widths.
+class SvgContext {
+  constructor(measureCtx) {
+    this.measureCtx = measureCtx;
+    this.elements = [];
+    this.path = [];
+    this.current = null;
+    this.strokeStyle = "#000000";
+    this.fillStyle = "#000000";
+    this.lineWidth = 1;
+    this.font = "10px sans-serif";
+    this.textAlign = "start";
+    this.textBaseline = "alphabetic";
+    this.lineDash = [];
   }
 
-  removeState(stateId) {
-    const index = this.states.findIndex((s) => s.id === stateId);
-    if (index !== -1) {
-      const state = this.states[index];
-      if (this.startState === state) {
-        this.startState = null;
-      }
-      // Remove transitions pointing to this state
-      this.states.forEach((s) => {
-        Object.keys(s.transitions).forEach((symbol) => {
-          if (s.transitions[symbol] === state) {
-            delete s.transitions[symbol];
-          }
-        });
-      });
-      this.states.splice(index, 1);
-    }
+  clearRect() {}
+
+  setLineDash(segments) {
+    this.lineDash = segments;
   }
 
-  getStateAt(x, y) {
-    for (let i = this.states.length - 1; i >= 0; i--) {
-      const state = this.states[i];
-      const dx = x - state.x;
-      const dy = y - state.y;
-      if (dx * dx + dy * dy <= state.radius * state.radius) {
-        return state;
-      }
-    }
-    return null;
+  measureText(text) {
+    this.measureCtx.font = this.font;
+    return this.measureCtx.measureText(text);
   }
 
-  addTransition(fromState, toState, symbol) {
-    if (this.alphabet.has(symbol)) {
-      fromState.transitions[symbol] = toState;
-      return true;
-    }
-    return false;
+  beginPath() {
+    this.path = [];
+    this.current = null;
   }
 
-  removeTransition(fromState, symbol) {
-    delete fromState.transitions[symbol];
+  moveTo(x, y) {
+    this.path.push(`M${formatNumber(x)} ${formatNumber(y)}`);
+    this.current = { x, y };
   }
 
-  setAlphabet(symbols) {
-    this.alphabet = new Set(symbols);
-    // Remove transitions that are no longer valid
-    this.states.forEach((state) => {
-      Object.keys(state.transitions).forEach((symbol) => {
-        if (!this.alphabet.has(symbol)) {
-          delete state.transitions[symbol];
-        }
-      });
-    });
+  lineTo(x, y) {
+    this.path.push(
+      `${this.current ? "L" : "M"}${formatNumber(x)} ${formatNumber(y)}`,
+    );
+    this.current = { x, y };
   }
 
-  simulate(inputString) {
-    if (!this.startState) {
-      return {
-        accepted: false,
-        error: "No start state defined",
-        trace: [],
-      };
-    }
+  quadraticCurveTo(cx, cy, x, y) {
+    this.path.push(
+      `Q${formatNumber(cx)} ${formatNumber(cy)} ${formatNumber(x)} ${formatNumber(y)}`,
+    );
+    this.current = { x, y };
+  }
 
-    const trace = [];
-    let current = this.startState;
-    trace.push({
-      state: current.name,
-      symbol: "START",
-      remaining: inputString,
+  // Clockwise arc, as the canvas draws it. A full circle is split in two
+  // because a single SVG arc cannot start and end at the same point.
+  arc(cx, cy, r, startAngle, endAngle) {
+    const point = (angle) => ({
+      x: cx + r * Math.cos(angle),
+      y: cy + r * Math.sin(angle),
     });
-
-    for (let i = 0; i < inputString.length; i++) {
-      const symbol = inputString[i];
-
-      if (!this.alphabet.has(symbol)) {
-        return {
-          accepted: false,
-          error: `Symbol '${symbol}' not in alphabet`,
-          trace: trace,
-        };
-      }
-
-      if (!current.transitions[symbol]) {
-        trace.push({
-          state: current.name,
-          symbol: symbol,
-          remaining: inputString.substring(i + 1),
-          error: "No transition defined",
-        });
-        return {
-          accepted: false,
-          error: `No transition from ${current.name} on symbol '${symbol}'`,
-          trace: trace,
-        };
-      }
-
-      current = current.transitions[symbol];
-      trace.push({
-        state: current.name,
-        symbol: symbol,
-        remaining: inputString.substring(i + 1),
-      });
+    const start = point(startAngle);
+    this.lineTo(start.x, start.y);
+
+    const sweep = endAngle - startAngle;
+    if (sweep >= Math.PI * 2 - 1e-9) {
+      const middle = point(startAngle + Math.PI);
+      this.path.push(
+        `A${formatNumber(r)} ${formatNumber(r)} 0 0 1 ${formatNumber(middle.x)} ${formatNumber(middle.y)}`,
+      );
+      this.path.push(
+        `A${formatNumber(r)} ${formatNumber(r)} 0 0 1 ${formatNumber(start.x)} ${formatNumber(start.y)}`,
+      );
+      this.current = start;
+      return;
     }
+    const end = point(endAngle);
+    const largeArc = sweep > Math.PI ? 1 : 0;
+    this.path.push(
+      `A${formatNumber(r)} ${formatNumber(r)} 0 ${largeArc} 1 ${formatNumber(end.x)} ${formatNumber(end.y)}`,
+    );
+    this.current = end;
+  }
 
-    return {
-      accepted: current.isAccept,
-      finalState: current.name,
-      trace: trace,
-    };
+  roundRect(x, y, width, height, radius) {
+    const r = Math.min(radius, width / 2, height / 2);
+    this.moveTo(x + r, y);
+    this.lineTo(x + width - r, y);
+    this.arc(x + width - r, y + r, r, -Math.PI / 2, 0);
+    this.lineTo(x + width, y + height - r);
+    this.arc(x + width - r, y + height - r, r, 0, Math.PI / 2);
+    this.lineTo(x + r, y + height);
+    this.arc(x + r, y + height - r, r, Math.PI / 2, Math.PI);
+    this.lineTo(x, y + r);
+    this.arc(x + r, y + r, r, Math.PI, Math.PI * 1.5);
+    this.closePath();
   }
 
-  generateAllStrings(maxLength) {
-    const results = [];
-    const alphabetArray = Array.from(this.alphabet);
+  closePath() {
+    this.path.push("Z");
+  }
 
-    const generate = (current, length) => {
-      if (length > maxLength) return;
+  fill() {
+    this.elements.push(
+      `<path d="${this.path.join(" ")}" fill="${this.fillStyle}"/>`,
+    );
+  }
 
-      // Test current string
-      const result = this.simulate(current);
-      results.push({
-        string: current || "ε",
-        accepted: result.accepted && !result.error,
-      });
+  stroke() {
+    const dash =
+      this.lineDash.length > 0
+        ? ` stroke-dasharray="${this.lineDash.join(" ")}"`
+        : "";
+    this.elements.push(
+      `<path d="${this.path.join(" ")}" fill="none" stroke="${this.strokeStyle}" stroke-width="${this.lineWidth}"${dash}/>`,
+    );
+  }
 
-      if (length < maxLength) {
-        alphabetArray.forEach((symbol) => {
-          generate(current + symbol, length + 1);
-        });
-      }
-    };
+  fillText(text, x, y) {
+    const anchor = { center: "middle", left: "start", start: "start" };
+    const baseline = { middle: "central", top: "hanging" };
+    const [, weight, size, family] =
+      this.font.match(/^(?:(bold)\s+)?(\d+px)\s+(.+)$/) || [];
+    this.elements.push(
+      `<text x="${formatNumber(x)}" y="${formatNumber(y)}" text-anchor="${anchor[this.textAlign] || "end"}" dominant-baseline="${baseline[this.textBaseline] || "alphabetic"}" font-family="${escapeXml(family || "sans-serif")}" font-size="${size || "10px"}" font-weight="${weight || "normal"}" fill="${this.fillStyle}">${escapeXml(text)}</text>`,
+    );
+  }
 
-    generate("", 0);
-    return results;
+  toSvg(bounds, background) {
+    const { x, y, width, height } = bounds;
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(width)}" height="${formatNumber(height)}" viewBox="${formatNumber(x)} ${formatNumber(y)} ${formatNumber(width)} ${formatNumber(height)}">`,
+      `<rect x="${formatNumber(x)}" y="${formatNumber(y)}" width="${formatNumber(width)}" height="${formatNumber(height)}" fill="${background}"/>`,
+      ...this.elements,
+      "</svg>",
+    ].join("\n");
   }
 }
 
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Zoom limits for the canvas view.
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 4;
+
 class DFACanvas {
-  constructor(canvas, dfa) {
+  constructor(canvas, dfa, history) {
     this.canvas = canvas;
     this.ctx = canvas.getContext("2d");
     this.dfa = dfa;
-    this.selectedState = null;
-    this.draggedState = null;
+    this.history = history;
+    // Selected states. `selectedState` (below) is the one the Selected
+    // State panel edits.
+    this.selectedStates = new Set();
+    // Selected edge group { fromState, toState, symbols } and the group
+    // whose arrowhead is being dragged to a new target.
+    this.selectedEdge = null;
+    this.retargetEdge = null;
+    // While dragging: the mouse position where the drag started and the
+    // starting position of every dragged state.
+    this.dragAnchor = null;
+    this.dragOrigins = null;
+    // Shift-drag selection rectangle: { x0, y0, x1, y1, base } where
+    // `base` is the selection it adds to.
+    this.rubberBand = null;
     this.mode = "addState"; // 'addState', 'addTransition', 'select', 'delete'
     this.transitionStart = null;
     this.mousePos = { x: 0, y: 0 };
     this.isDragging = false;
+    this.onRedraw = null;
+    // Optional fill colours keyed by state, used to visualise partitions.
+    this.stateColors = new Map();
+    // Simulation highlight: { states: Set, edges: Set of "fromId-toId"
+    // keys, stroke, fill }, or null.
+    this.highlight = null;
+    // Running auto-layout animation: { frame, finish }, or null.
+    this.layoutAnimation = null;
+    // View transform: a point (x, y) of the diagram is drawn at
+    // (x * scale + offsetX, y * scale + offsetY) in CSS pixels.
+    this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+    // Drag on empty space: { clientX, clientY, offsetX, offsetY }.
+    this.panStart = null;
+    // Transition being added from the keyboard: { fromState, target }.
+    this.keyboardTransition = null;
+    // Canvas size in CSS pixels; the backing store is larger on high
+    // density screens.
+    this.width = canvas.width;
+    this.height = canvas.height;
 
     this.setupEventListeners();
-    this.draw();
+    this.resize();
+  }
+
+  // The selected state when exactly one is selected, else null.
+  get selectedState() {
+    if (this.selectedStates.size !== 1) return null;
+    return this.selectedStates.values().next().value;
+  }
+
+  set selectedState(state) {
+    this.selectedStates = new Set(state ? [state] : []);
   }
 
   setupEventListeners() {
@@ -187,34 +219,173 @@ class DFACanvas {
       "contextmenu",
       this.handleRightClick.bind(this),
     );
+    this.canvas.addEventListener("wheel", this.handleWheel.bind(this), {
+      passive: false,
+    });
+    this.canvas.addEventListener("keydown", this.handleKeyDown.bind(this));
+    document.getElementById("symbolPicker").addEventListener("keydown", (e) => {
+      if (e.key === "Escape") {
+        this.selectEdge(null);
+        this.draw();
+        this.canvas.focus();
+      }
+    });
+    if (typeof ResizeObserver !== "undefined") {
+      new ResizeObserver(() => this.resize()).observe(this.canvas);
+    } else {
+      window.addEventListener("resize", () => this.resize());
+    }
+  }
+
+  // Matches the backing store to the displayed size and the device
+  // pixel ratio, so drawing stays sharp at any size.
+  resize() {
+    const width = this.canvas.clientWidth || this.width;
+    const height = this.canvas.clientHeight || this.height;
+    const ratio = window.devicePixelRatio || 1;
+    this.width = width;
+    this.height = height;
+    this.canvas.width = Math.round(width * ratio);
+    this.canvas.height = Math.round(height * ratio);
+    this.draw();
+  }
+
+  // Diagram coordinates of a mouse event.
+  eventPosition(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return this.toDiagram(
+      e.clientX - rect.left - this.canvas.clientLeft,
+      e.clientY - rect.top - this.canvas.clientTop,
+    );
   }
 
-  handleMouseDown(e) {
+  toDiagram(screenX, screenY) {
+    const { scale, offsetX, offsetY } = this.view;
+    return { x: (screenX - offsetX) / scale, y: (screenY - offsetY) / scale };
+  }
+
+  // The part of the diagram currently on screen.
+  getVisibleBounds() {
+    const topLeft = this.toDiagram(0, 0);
+    return {
+      x: topLeft.x,
+      y: topLeft.y,
+      width: this.width / this.view.scale,
+      height: this.height / this.view.scale,
+    };
+  }
+
+  // Zooms by `factor` keeping the diagram point under (screenX, screenY)
+  // in place.
+  zoomAt(factor, screenX, screenY) {
+    const { scale } = this.view;
+    const newScale = Math.min(Math.max(scale * factor, MIN_ZOOM), MAX_ZOOM);
+    const anchor = this.toDiagram(screenX, screenY);
+    this.view.scale = newScale;
+    this.view.offsetX = screenX - anchor.x * newScale;
+    this.view.offsetY = screenY - anchor.y * newScale;
+    this.closeSymbolPicker();
+    this.draw();
+  }
+
+  zoomBy(factor) {
+    this.zoomAt(factor, this.width / 2, this.height / 2);
+  }
+
+  handleWheel(e) {
+    e.preventDefault();
     const rect = this.canvas.getBoundingClientRect();
-    const scaleX = this.canvas.width / rect.width;
-    const scaleY = this.canvas.height / rect.height;
-    const x = (e.clientX - rect.left) * scaleX;
-    const y = (e.clientY - rect.top) * scaleY;
+    // Trackpads send many small deltas, mouse wheels a few large ones;
+    // scaling by the delta treats both alike.
+    const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+    this.zoomAt(
+      Math.exp(-delta * 0.002),
+      e.clientX - rect.left - this.canvas.clientLeft,
+      e.clientY - rect.top - this.canvas.clientTop,
+    );
+  }
+
+  // Scales and centres the view on the whole diagram. Small diagrams
+  // are not blown up past 100%.
+  fitToView() {
+    if (this.dfa.states.length === 0) {
+      this.view = { scale: 1, offsetX: 0, offsetY: 0 };
+    } else {
+      const bounds = this.getDiagramBounds();
+      const scale = Math.max(
+        Math.min(this.width / bounds.width, this.height / bounds.height, 1),
+        MIN_ZOOM,
+      );
+      this.view = {
+        scale,
+        offsetX: (this.width - bounds.width * scale) / 2 - bounds.x * scale,
+        offsetY: (this.height - bounds.height * scale) / 2 - bounds.y * scale,
+      };
+    }
+    this.closeSymbolPicker();
+    this.draw();
+  }
+
+  handleMouseDown(e) {
+    this.finishLayoutAnimation();
+    this.keyboardTransition = null;
+    const { x, y } = this.eventPosition(e);
     const clickedState = this.dfa.getStateAt(x, y);
 
+    // The middle button pans in every mode.
+    if (e.button === 1) {
+      e.preventDefault();
+      this.startPan(e);
+      return;
+    }
+
     if (this.mode === "addState") {
       if (!clickedState) {
-        const newState = this.dfa.addState(x, y);
-        if (this.dfa.states.length === 1) {
-          newState.isStart = true;
-          this.dfa.startState = newState;
-        }
+        this.history.execute(addStateCommand(this.dfa, x, y));
         this.draw();
       }
     } else if (this.mode === "select") {
-      if (clickedState) {
-        this.selectedState = clickedState;
-        this.draggedState = clickedState;
+      if (this.selectedEdge && this.isOnArrowhead(this.selectedEdge, x, y)) {
+        this.retargetEdge = this.selectedEdge;
+        this.closeSymbolPicker();
+      } else if (clickedState && e.shiftKey) {
+        this.selectEdge(null);
+        if (this.selectedStates.has(clickedState)) {
+          this.selectedStates.delete(clickedState);
+        } else {
+          this.selectedStates.add(clickedState);
+        }
+        this.updateStateConfig();
+      } else if (clickedState) {
+        // Dragging a selected state drags the whole selection.
+        this.selectEdge(null);
+        if (!this.selectedStates.has(clickedState)) {
+          this.selectedState = clickedState;
+        }
+        this.dragAnchor = { x, y };
+        this.dragOrigins = new Map(
+          Array.from(this.selectedStates, (state) => [
+            state,
+            { x: state.x, y: state.y },
+          ]),
+        );
         this.isDragging = true;
         this.updateStateConfig();
+      } else if (e.shiftKey) {
+        this.selectEdge(null);
+        this.rubberBand = {
+          x0: x,
+          y0: y,
+          x1: x,
+          y1: y,
+          base: new Set(this.selectedStates),
+        };
       } else {
         this.selectedState = null;
         this.updateStateConfig();
+        const edge = this.getTransitionAt(x, y);
+        this.selectEdge(edge);
+        if (!edge) this.startPan(e);
       }
       this.draw();
     } else if (this.mode === "addTransition") {
@@ -222,51 +393,140 @@ class DFACanvas {
         if (!this.transitionStart) {
           this.transitionStart = clickedState;
         } else {
-          this.promptTransitionSymbol(this.transitionStart, clickedState);
+          this.selectEdge({
+            fromState: this.transitionStart,
+            toState: clickedState,
+          });
           this.transitionStart = null;
         }
         this.draw();
       }
     } else if (this.mode === "delete") {
       if (clickedState) {
-        this.dfa.removeState(clickedState.id);
-        if (this.selectedState === clickedState) {
-          this.selectedState = null;
+        this.history.execute(deleteStateCommand(this.dfa, clickedState.id));
+        if (this.selectedStates.delete(clickedState)) {
           this.updateStateConfig();
         }
+        this.selectEdge(null);
         this.draw();
+      } else {
+        const edge = this.getTransitionAt(x, y);
+        if (edge) {
+          this.deleteEdge(edge);
+        }
       }
     }
   }
 
   handleMouseMove(e) {
-    const rect = this.canvas.getBoundingClientRect();
-    const scaleX = this.canvas.width / rect.width;
-    const scaleY = this.canvas.height / rect.height;
-    this.mousePos.x = (e.clientX - rect.left) * scaleX;
-    this.mousePos.y = (e.clientY - rect.top) * scaleY;
-
-    if (this.isDragging && this.draggedState) {
-      this.draggedState.x = this.mousePos.x;
-      this.draggedState.y = this.mousePos.y;
+    this.mousePos = this.eventPosition(e);
+
+    if (this.panStart) {
+      this.view.offsetX =
+        this.panStart.offsetX + e.clientX - this.panStart.clientX;
+      this.view.offsetY =
+        this.panStart.offsetY + e.clientY - this.panStart.clientY;
+      this.draw();
+    } else if (this.rubberBand) {
+      const band = this.rubberBand;
+      band.x1 = this.mousePos.x;
+      band.y1 = this.mousePos.y;
+      const inside = (value, a, b) =>
+        value >= Math.min(a, b) && value <= Math.max(a, b);
+      this.selectedStates = new Set(band.base);
+      this.dfa.states.forEach((state) => {
+        if (
+          inside(state.x, band.x0, band.x1) &&
+          inside(state.y, band.y0, band.y1)
+        ) {
+          this.selectedStates.add(state);
+        }
+      });
+      this.draw();
+    } else if (this.isDragging) {
+      const dx = this.mousePos.x - this.dragAnchor.x;
+      const dy = this.mousePos.y - this.dragAnchor.y;
+      this.dragOrigins.forEach((origin, state) => {
+        state.x = origin.x + dx;
+        state.y = origin.y + dy;
+      });
       this.draw();
-    } else if (this.mode === "addTransition" && this.transitionStart) {
+    } else if (
+      (this.mode === "addTransition" && this.transitionStart) ||
+      this.retargetEdge
+    ) {
       this.draw();
     }
   }
 
+  startPan(e) {
+    this.panStart = {
+      clientX: e.clientX,
+      clientY: e.clientY,
+      offsetX: this.view.offsetX,
+      offsetY: this.view.offsetY,
+    };
+    this.canvas.style.cursor = "grabbing";
+  }
+
   handleMouseUp(e) {
+    if (this.panStart) {
+      this.panStart = null;
+      this.canvas.style.cursor = "";
+      return;
+    }
+    if (this.retargetEdge) {
+      const edge = this.retargetEdge;
+      const target = this.dfa.getStateAt(this.mousePos.x, this.mousePos.y);
+      this.retargetEdge = null;
+      if (target && target !== edge.toState) {
+        this.moveSymbols(
+          edge,
+          this.edgeSymbols(edge.fromState, edge.toState),
+          target,
+        );
+        this.selectEdge({ fromState: edge.fromState, toState: target });
+      } else {
+        this.selectEdge(edge);
+      }
+      this.draw();
+      return;
+    }
+
+    if (this.rubberBand) {
+      this.rubberBand = null;
+      this.updateStateConfig();
+      this.draw();
+      return;
+    }
+
+    // A whole drag is recorded as one move, however many states moved.
+    if (this.isDragging) {
+      const moves = [];
+      this.dragOrigins.forEach((origin, state) => {
+        if (state.x !== origin.x || state.y !== origin.y) {
+          moves.push(
+            moveStateCommand(this.dfa, state.id, origin, {
+              x: state.x,
+              y: state.y,
+            }),
+          );
+        }
+      });
+      if (moves.length === 1) {
+        this.history.record(moves[0]);
+      } else if (moves.length > 1) {
+        this.history.record(compositeCommand("Move states", moves));
+      }
+    }
     this.isDragging = false;
-    this.draggedState = null;
+    this.dragAnchor = null;
+    this.dragOrigins = null;
   }
 
   handleRightClick(e) {
     e.preventDefault();
-    const rect = this.canvas.getBoundingClientRect();
-    const scaleX = this.canvas.width / rect.width;
-    const scaleY = this.canvas.height / rect.height;
-    const x = (e.clientX - rect.left) * scaleX;
-    const y = (e.clientY - rect.top) * scaleY;
+    const { x, y } = this.eventPosition(e);
     const clickedState = this.dfa.getStateAt(x, y);
 
     if (clickedState) {
@@ -276,39 +536,565 @@ class DFACanvas {
     }
   }
 
-  promptTransitionSymbol(fromState, toState) {
-    const symbols = Array.from(this.dfa.alphabet);
-    const existingTransitions = Object.keys(fromState.transitions);
-    const availableSymbols = symbols.filter(
-      (s) =>
-        !existingTransitions.includes(s) ||
-        fromState.transitions[s] === toState,
+  // Keyboard editing while the canvas has focus. Tab and Shift+Tab step
+  // through the states and leave the canvas after the last one.
+  handleKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    this.finishLayoutAnimation();
+    const pending = this.keyboardTransition;
+    const state = this.selectedState;
+
+    if (e.key === "Tab") {
+      if (pending) {
+        e.preventDefault();
+        const states = this.dfa.states;
+        const index = states.indexOf(pending.target);
+        const step = e.shiftKey ? -1 : 1;
+        pending.target = states[(index + step + states.length) % states.length];
+        this.announce(`Target ${pending.target.name}`);
+        this.draw();
+      } else if (this.cycleSelection(e.shiftKey ? -1 : 1)) {
+        e.preventDefault();
+      }
+    } else if (e.key.startsWith("Arrow")) {
+      e.preventDefault();
+      const distance = e.shiftKey ? 1 : 10;
+      const [dx, dy] = {
+        ArrowLeft: [-distance, 0],
+        ArrowRight: [distance, 0],
+        ArrowUp: [0, -distance],
+        ArrowDown: [0, distance],
+      }[e.key];
+      if (this.selectedStates.size > 0) {
+        this.nudgeSelection(dx, dy);
+      } else {
+        // With nothing selected the arrows pan the view.
+        this.view.offsetX -= dx * 4;
+        this.view.offsetY -= dy * 4;
+        this.closeSymbolPicker();
+        this.draw();
+      }
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (pending) {
+        this.keyboardTransition = null;
+        this.selectEdge({
+          fromState: pending.fromState,
+          toState: pending.target,
+        });
+        this.draw();
+        this.focusSymbolPicker();
+      } else if (state) {
+        this.keyboardTransition = { fromState: state, target: state };
+        this.announce(
+          `Adding a transition from ${state.name}. Press Tab to choose the target, Enter to pick its symbols, Escape to cancel. Target ${state.name}`,
+        );
+        this.draw();
+      }
+    } else if (e.key === "Escape") {
+      if (pending) {
+        this.keyboardTransition = null;
+        this.announce("Transition cancelled");
+      } else {
+        this.selectedState = null;
+        this.selectEdge(null);
+        this.updateStateConfig();
+      }
+      this.draw();
+    } else if (e.key === "n" || e.key === "N") {
+      const { x, y } = this.findFreePosition();
+      this.history.execute(addStateCommand(this.dfa, x, y));
+      const added = this.dfa.states[this.dfa.states.length - 1];
+      this.selectedState = added;
+      this.selectEdge(null);
+      this.updateStateConfig();
+      this.draw();
+      this.announce(`Added ${this.describeState(added)}`);
+    } else if ((e.key === "s" || e.key === "S") && state) {
+      this.history.execute(
+        setStartCommand(this.dfa, state.isStart ? null : state.id),
+      );
+      this.updateStateConfig();
+      this.draw();
+      this.announce(
+        state.isStart
+          ? `${state.name} is the start state`
+          : `${state.name} is no longer the start state`,
+      );
+    } else if ((e.key === "a" || e.key === "A") && this.selectedStates.size) {
+      this.toggleAcceptSelection();
+      const states = Array.from(this.selectedStates);
+      this.announce(
+        `${states.map((s) => s.name).join(", ")} ${
+          states[0].isAccept ? "accepting" : "not accepting"
+        }`,
+      );
+    }
+  }
+
+  // Selects the next (step 1) or previous (step -1) state. Returns
+  // false, with nothing selected, when stepping past either end.
+  cycleSelection(step) {
+    const states = this.dfa.states;
+    const current = this.selectedState
+      ? states.indexOf(this.selectedState)
+      : step > 0
+        ? -1
+        : states.length;
+    const next = states[current + step];
+    this.selectedState = next || null;
+    this.selectEdge(null);
+    this.updateStateConfig();
+    if (next) {
+      this.revealState(next);
+      this.announce(this.describeState(next));
+    }
+    this.draw();
+    return Boolean(next);
+  }
+
+  // Moves the selected states by (dx, dy) as one undo step.
+  nudgeSelection(dx, dy) {
+    const moves = Array.from(this.selectedStates, (state) =>
+      moveStateCommand(
+        this.dfa,
+        state.id,
+        { x: state.x, y: state.y },
+        { x: state.x + dx, y: state.y + dy },
+      ),
     );
+    this.history.execute(
+      moves.length === 1 ? moves[0] : compositeCommand("Move states", moves),
+    );
+    this.closeSymbolPicker();
+    this.draw();
+  }
 
-    if (availableSymbols.length === 0) {
-      alert("All transitions from this state are already defined!");
-      return;
+  // Pans just enough to bring `state` into view.
+  revealState(state) {
+    const visible = this.getVisibleBounds();
+    const margin = state.radius * 2;
+    const shift = (value, start, size) =>
+      Math.min(value - margin - start, 0) +
+      Math.max(value + margin - start - size, 0);
+    this.view.offsetX -=
+      shift(state.x, visible.x, visible.width) * this.view.scale;
+    this.view.offsetY -=
+      shift(state.y, visible.y, visible.height) * this.view.scale;
+  }
+
+  // A sentence read out by screen readers, e.g. "q0, start state,
+  // accepting. On 0 to q1; on 1 to q0."
+  describeState(state) {
+    const flags = [state.name];
+    if (state.isStart) flags.push("start state");
+    if (state.isAccept) flags.push("accepting");
+    const moves = this.dfa.isPushdown()
+      ? this.dfa
+          .stackRules(state)
+          .map(
+            (rule) => `on ${this.dfa.formatStackRule(rule)} to ${rule.to.name}`,
+          )
+      : Object.keys(state.transitions).map((symbol) => {
+          const names = this.dfa.getTargets(state, symbol).map((t) => t.name);
+          return `on ${symbol} to ${names.join(" and ")}`;
+        });
+    const transitions = moves.length > 0 ? moves.join("; ") : "no transitions";
+    return `${flags.join(", ")}. ${transitions[0].toUpperCase()}${transitions.slice(1)}.`;
+  }
+
+  announce(message) {
+    document.getElementById("canvasAnnouncer").textContent = message;
+  }
+
+  // Moves focus into the symbol picker so its chips can be chosen with
+  // the keyboard.
+  focusSymbolPicker() {
+    const picker = document.getElementById("symbolPicker");
+    const target =
+      picker.querySelector(".stack-rule-form select") ||
+      picker.querySelector("button.picker-chip") ||
+      picker.querySelector("button");
+    if (target) target.focus();
+  }
+
+  // Selects an edge group (or clears the selection with null) and opens
+  // the symbol picker for it. The group may be a pair of states with no
+  // transitions yet, which is how new transitions are labelled.
+  selectEdge(edge) {
+    this.selectedEdge = edge
+      ? { fromState: edge.fromState, toState: edge.toState }
+      : null;
+    if (this.selectedEdge) {
+      this.renderSymbolPicker();
+    } else {
+      this.closeSymbolPicker();
+    }
+  }
+
+  edgeSymbols(fromState, toState) {
+    return Object.keys(fromState.transitions).filter((symbol) =>
+      this.dfa.getTargets(fromState, symbol).includes(toState),
+    );
+  }
+
+  // Ids of the targets of `fromState` on `symbol` after replacing
+  // `oldTarget` with `newTarget` (either may be null).
+  retargetedIds(fromState, symbol, oldTarget, newTarget) {
+    const ids = this.dfa
+      .getTargets(fromState, symbol)
+      .filter((target) => target !== oldTarget)
+      .map((target) => target.id);
+    if (newTarget) {
+      if (this.dfa.isDeterministic()) return [newTarget.id];
+      if (!ids.includes(newTarget.id)) ids.push(newTarget.id);
     }
+    return ids;
+  }
+
+  // Moves `symbols` of an edge to `target`, or deletes them if target is
+  // null, as a single undo step.
+  moveSymbols(edge, symbols, target, label = "Move transition") {
+    const commands = symbols.map((symbol) =>
+      setTargetsCommand(
+        this.dfa,
+        label,
+        edge.fromState.id,
+        symbol,
+        this.retargetedIds(edge.fromState, symbol, edge.toState, target),
+      ),
+    );
+    this.history.execute(compositeCommand(label, commands));
+  }
 
-    let message = "Enter transition symbol:\n";
-    message += `Available: ${availableSymbols.join(", ")}`;
+  deleteEdge(edge) {
+    const symbols = this.edgeSymbols(edge.fromState, edge.toState);
+    this.moveSymbols(edge, symbols, null, "Delete transition");
+    this.selectEdge(null);
+    this.draw();
+  }
 
-    const symbol = prompt(message);
+  closeSymbolPicker() {
+    document.getElementById("symbolPicker").hidden = true;
+  }
 
-    if (symbol && this.dfa.alphabet.has(symbol)) {
-      this.dfa.addTransition(fromState, toState, symbol);
+  // The inline editor for the selected edge: its symbols, each of which
+  // can be moved to another target or removed, and chips for adding the
+  // remaining symbols. For a DFA, adding a symbol already used on
+  // another edge from the same state moves it here. A PDA edge lists its
+  // rules instead, with a form for adding one.
+  renderSymbolPicker() {
+    const { fromState, toState } = this.selectedEdge;
+    const picker = document.getElementById("symbolPicker");
+    const hadFocus = picker.contains(document.activeElement);
+    picker.innerHTML = "";
+
+    const header = document.createElement("div");
+    header.className = "picker-header";
+    header.textContent = `${fromState.name} → ${toState.name}`;
+    const closeBtn = document.createElement("button");
+    closeBtn.className = "picker-close";
+    closeBtn.textContent = "×";
+    closeBtn.title = "Close";
+    closeBtn.addEventListener("click", () => {
+      this.selectEdge(null);
       this.draw();
-    } else if (symbol) {
-      alert(`Symbol '${symbol}' is not in the alphabet!`);
+    });
+    header.appendChild(closeBtn);
+    picker.appendChild(header);
+
+    const current = this.edgeSymbols(fromState, toState);
+    const edge = { fromState, toState };
+    if (this.dfa.isPushdown()) {
+      this.appendStackRuleRows(picker, edge);
+    } else {
+      this.appendSymbolRows(picker, edge, current);
+    }
+
+    if (current.length > 0) {
+      const deleteBtn = document.createElement("button");
+      deleteBtn.className = "picker-delete";
+      deleteBtn.textContent = "Delete transition";
+      deleteBtn.addEventListener("click", () => this.deleteEdge(edge));
+      picker.appendChild(deleteBtn);
+    }
+
+    // Place the picker next to the edge label, in CSS pixels.
+    const geometry = this.getEdgeGeometry(fromState, toState);
+    const { scale, offsetX, offsetY } = this.view;
+    picker.style.left = `${this.canvas.offsetLeft + this.canvas.clientLeft + geometry.labelX * scale + offsetX + 16}px`;
+    picker.style.top = `${this.canvas.offsetTop + this.canvas.clientTop + geometry.labelY * scale + offsetY + 16}px`;
+    picker.hidden = false;
+    if (hadFocus) this.focusSymbolPicker();
+  }
+
+  appendSymbolRows(picker, edge, current) {
+    const { fromState, toState } = edge;
+    current.forEach((symbol) => {
+      const row = document.createElement("div");
+      row.className = "picker-row";
+
+      const chip = document.createElement("span");
+      chip.className = "picker-chip active";
+      chip.textContent = symbol;
+
+      const moveSelect = document.createElement("select");
+      moveSelect.title = "Move to another target";
+      this.dfa.states.forEach((state) => {
+        const option = document.createElement("option");
+        option.value = state.id;
+        option.textContent = `→ ${state.name}`;
+        option.selected = state === toState;
+        moveSelect.appendChild(option);
+      });
+      moveSelect.addEventListener("change", () => {
+        const target = this.dfa.getStateById(Number(moveSelect.value));
+        this.moveSymbols(edge, [symbol], target);
+        this.renderSymbolPicker();
+        this.draw();
+      });
+
+      const removeBtn = document.createElement("button");
+      removeBtn.textContent = "✕";
+      removeBtn.title = `Remove '${symbol}'`;
+      removeBtn.addEventListener("click", () => {
+        this.moveSymbols(edge, [symbol], null, "Remove transition");
+        this.renderSymbolPicker();
+        this.draw();
+      });
+
+      row.append(chip);
+      if (this.dfa.machine === "mealy") {
+        row.append(
+          this.outputSelect(
+            this.dfa.transitionOutput(fromState, symbol),
+            (output) => {
+              this.history.execute(
+                setTransitionOutputCommand(
+                  this.dfa,
+                  fromState.id,
+                  symbol,
+                  output,
+                ),
+              );
+              this.renderSymbolPicker();
+              this.draw();
+            },
+          ),
+        );
+      }
+      row.append(moveSelect, removeBtn);
+      picker.appendChild(row);
+    });
+
+    const symbols = Array.from(this.dfa.alphabet);
+    if (this.dfa.type === "enfa") {
+      symbols.push(EPSILON);
     }
+    const addable = symbols.filter((symbol) => !current.includes(symbol));
+    if (addable.length > 0) {
+      const addRow = document.createElement("div");
+      addRow.className = "picker-add";
+      addRow.append(current.length > 0 ? "Add:" : "Pick a symbol:");
+      addable.forEach((symbol) => {
+        const chip = document.createElement("button");
+        chip.className = "picker-chip";
+        chip.textContent = symbol;
+        const existing = this.dfa.isDeterministic()
+          ? fromState.transitions[symbol]
+          : null;
+        if (existing) {
+          chip.title = `Replaces ${fromState.name} → ${existing.name}`;
+          chip.classList.add("replaces");
+        }
+        chip.addEventListener("click", () => {
+          this.history.execute(
+            addTransitionCommand(this.dfa, fromState.id, toState.id, symbol),
+          );
+          this.renderSymbolPicker();
+          this.draw();
+          this.announce(
+            `Added ${fromState.name} to ${toState.name} on ${symbol}`,
+          );
+        });
+        addRow.appendChild(chip);
+      });
+      picker.appendChild(addRow);
+    }
+  }
+
+  // One row per rule "a, X → γ" of a PDA edge, and a form for adding a
+  // rule. The pushed word is typed top first, ε or blank for none.
+  appendStackRuleRows(picker, edge) {
+    const { fromState, toState } = edge;
+    this.dfa
+      .stackRules(fromState)
+      .filter((rule) => rule.to === toState)
+      .forEach((rule) => {
+        const row = document.createElement("div");
+        row.className = "picker-row";
+
+        const chip = document.createElement("span");
+        chip.className = "picker-chip active";
+        chip.textContent = this.dfa.formatStackRule(rule);
+
+        const removeBtn = document.createElement("button");
+        removeBtn.textContent = "✕";
+        removeBtn.title = `Remove '${chip.textContent}'`;
+        removeBtn.addEventListener("click", () => {
+          this.history.execute(
+            removeStackRuleCommand(this.dfa, fromState.id, toState.id, rule),
+          );
+          this.renderSymbolPicker();
+          this.draw();
+        });
+
+        row.append(chip, removeBtn);
+        picker.appendChild(row);
+      });
+
+    const select = (symbols, title) => {
+      const element = document.createElement("select");
+      element.title = title;
+      symbols.forEach((symbol) => {
+        const option = document.createElement("option");
+        option.value = symbol;
+        option.textContent = symbol;
+        element.appendChild(option);
+      });
+      return element;
+    };
+    const form = document.createElement("div");
+    form.className = "picker-add stack-rule-form";
+    const symbolSelect = select([...this.dfa.alphabet, EPSILON], "Read");
+    const popSelect = select([EPSILON, ...this.dfa.stackAlphabet], "Pop");
+    const pushInput = document.createElement("input");
+    pushInput.type = "text";
+    pushInput.placeholder = EPSILON;
+    pushInput.title = "Push (top first)";
+    const addBtn = document.createElement("button");
+    addBtn.className = "picker-chip";
+    addBtn.textContent = "Add";
+    addBtn.addEventListener("click", () => {
+      let push;
+      try {
+        push = this.dfa.parseStackWord(pushInput.value);
+      } catch (err) {
+        alert(err.message);
+        return;
+      }
+      const rule = {
+        symbol: symbolSelect.value,
+        pop: popSelect.value === EPSILON ? null : popSelect.value,
+        push,
+      };
+      this.history.execute(
+        addStackRuleCommand(this.dfa, fromState.id, toState.id, rule),
+      );
+      this.renderSymbolPicker();
+      this.draw();
+      this.announce(
+        `Added ${fromState.name} to ${toState.name} on ${this.dfa.formatStackRule(rule)}`,
+      );
+    });
+    pushInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") addBtn.click();
+    });
+    form.append(symbolSelect, ",", popSelect, "→", pushInput, addBtn);
+    picker.appendChild(form);
   }
 
   setMode(mode) {
     this.mode = mode;
     this.transitionStart = null;
+    this.keyboardTransition = null;
+    this.selectEdge(null);
     this.draw();
   }
 
+  // Slides the states to `positions` (a Map from id to {x, y}) and
+  // records the whole move as one undo step.
+  animateLayout(positions, label, duration = 500) {
+    this.finishLayoutAnimation();
+    const moves = this.dfa.states
+      .filter((state) => positions.has(state.id))
+      .map((state) => ({
+        id: state.id,
+        from: { x: state.x, y: state.y },
+        to: positions.get(state.id),
+      }));
+    const reducedMotion =
+      window.matchMedia &&
+      window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+    const placeAt = (progress) => {
+      moves.forEach(({ id, from, to }) => {
+        const state = this.dfa.getStateById(id);
+        if (!state) return;
+        state.x = from.x + (to.x - from.x) * progress;
+        state.y = from.y + (to.y - from.y) * progress;
+      });
+      this.draw();
+    };
+    const finish = () => {
+      this.layoutAnimation = null;
+      placeAt(1);
+      this.history.record(
+        compositeCommand(
+          label,
+          moves.map(({ id, from, to }) =>
+            moveStateCommand(this.dfa, id, from, to),
+          ),
+        ),
+      );
+    };
+
+    if (reducedMotion || duration <= 0) {
+      finish();
+      return;
+    }
+    const started = performance.now();
+    const step = (now) => {
+      const t = Math.min((now - started) / duration, 1);
+      if (t >= 1) {
+        finish();
+        return;
+      }
+      placeAt(1 - Math.pow(1 - t, 3));
+      this.layoutAnimation.frame = requestAnimationFrame(step);
+    };
+    this.layoutAnimation = { finish, frame: requestAnimationFrame(step) };
+  }
+
+  // A free spot for a state added without a click position: the first
+  // point on a grid, scanning from the top left, that is clear of every
+  // existing state.
+  findFreePosition(spacing = 100) {
+    const visible = this.getVisibleBounds();
+    for (let dy = spacing; dy < visible.height; dy += spacing) {
+      for (let dx = spacing; dx < visible.width; dx += spacing) {
+        const x = visible.x + dx;
+        const y = visible.y + dy;
+        const clear = this.dfa.states.every(
+          (state) => Math.hypot(state.x - x, state.y - y) >= spacing,
+        );
+        if (clear) return { x, y };
+      }
+    }
+    return {
+      x: visible.x + visible.width / 2,
+      y: visible.y + visible.height / 2,
+    };
+  }
+
+  // Jumps a running layout animation to its end, so anything that
+  // touches positions sees the final layout.
+  finishLayoutAnimation() {
+    if (!this.layoutAnimation) return;
+    cancelAnimationFrame(this.layoutAnimation.frame);
+    this.layoutAnimation.finish();
+  }
+
   updateStateConfig() {
     const stateOptions = document.getElementById("stateOptions");
     const stateConfig = document.getElementById("stateConfig");
@@ -320,71 +1106,264 @@ class DFACanvas {
       document.getElementById("setAcceptState").checked =
         this.selectedState.isAccept;
       document.getElementById("stateNameInput").value = this.selectedState.name;
+      const outputGroup = document.getElementById("stateOutputGroup");
+      outputGroup.style.display = this.dfa.machine === "moore" ? "" : "none";
+      if (this.dfa.machine === "moore") {
+        const state = this.selectedState;
+        const select = this.outputSelect(state.output, (output) => {
+          this.history.execute(
+            setStateOutputCommand(this.dfa, state.id, output),
+          );
+          this.draw();
+        });
+        select.id = "stateOutputSelect";
+        document.getElementById("stateOutputSelect").replaceWith(select);
+      }
     } else {
       stateOptions.style.display = "none";
     }
+
+    const count = this.selectedStates.size;
+    document.getElementById("groupOptions").style.display =
+      count > 1 ? "block" : "none";
+    document.getElementById("groupLabel").textContent =
+      `${count} states selected`;
+  }
+
+  // Makes every selected state accepting, or none of them if they all
+  // accept already.
+  toggleAcceptSelection() {
+    if (this.selectedStates.size === 0) return;
+    const states = Array.from(this.selectedStates);
+    const isAccept = !states.every((state) => state.isAccept);
+    this.history.execute(
+      compositeCommand(
+        isAccept ? "Make states accepting" : "Make states non-accepting",
+        states.map((state) => setAcceptCommand(this.dfa, state.id, isAccept)),
+      ),
+    );
+    this.updateStateConfig();
+    this.draw();
+  }
+
+  deleteSelection() {
+    if (this.selectedStates.size === 0) return;
+    const commands = Array.from(this.selectedStates, (state) =>
+      deleteStateCommand(this.dfa, state.id),
+    );
+    this.history.execute(
+      commands.length === 1
+        ? commands[0]
+        : compositeCommand("Delete states", commands),
+    );
+    this.announce(
+      `Deleted ${Array.from(this.selectedStates, (state) => state.name).join(", ")}`,
+    );
+    this.keyboardTransition = null;
+    this.selectedState = null;
+    this.selectEdge(null);
+    this.updateStateConfig();
+    this.draw();
   }
 
   draw() {
     const ctx = this.ctx;
+    const ratio = this.canvas.width / this.width;
+    const { scale, offsetX, offsetY } = this.view;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
     ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.setTransform(
+      ratio * scale,
+      0,
+      0,
+      ratio * scale,
+      ratio * offsetX,
+      ratio * offsetY,
+    );
+    this.drawScene();
 
-    // Group transitions by state pairs
-    const transitionGroups = new Map();
+    if (this.onRedraw) {
+      this.onRedraw();
+    }
+  }
+
+  // Draws the automaton alone - no selection, highlights or pending
+  // edges - onto another context. Used by the diagram exports.
+  drawPlain(ctx) {
+    const saved = {
+      ctx: this.ctx,
+      selectedStates: this.selectedStates,
+      selectedEdge: this.selectedEdge,
+      retargetEdge: this.retargetEdge,
+      transitionStart: this.transitionStart,
+      highlight: this.highlight,
+      stateColors: this.stateColors,
+      rubberBand: this.rubberBand,
+      keyboardTransition: this.keyboardTransition,
+    };
+    Object.assign(this, {
+      ctx,
+      selectedStates: new Set(),
+      selectedEdge: null,
+      retargetEdge: null,
+      transitionStart: null,
+      highlight: null,
+      stateColors: new Map(),
+      rubberBand: null,
+      keyboardTransition: null,
+    });
+    try {
+      this.drawScene();
+    } finally {
+      Object.assign(this, saved);
+    }
+  }
+
+  // Area covered by the drawing, including start arrows, self-loops
+  // and labels, with a small margin.
+  getDiagramBounds(margin = 20) {
+    if (this.dfa.states.length === 0) {
+      return this.getVisibleBounds();
+    }
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    const include = (x, y) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    };
     this.dfa.states.forEach((state) => {
-      Object.keys(state.transitions).forEach((symbol) => {
-        const targetState = state.transitions[symbol];
-        const key = `${state.id}-${targetState.id}`;
-        if (!transitionGroups.has(key)) {
-          transitionGroups.set(key, {
-            fromState: state,
-            toState: targetState,
-            symbols: [],
-          });
-        }
-        transitionGroups.get(key).symbols.push(symbol);
-      });
+      const reach = state.radius + 5;
+      include(state.x - reach - (state.isStart ? 30 : 0), state.y - reach);
+      include(state.x + reach, state.y + reach);
+    });
+    this.getTransitionGroups().forEach((group) => {
+      const geometry = this.getEdgeGeometry(group.fromState, group.toState);
+      const rect = this.getLabelRect(
+        this.dfa.edgeLabel(group.fromState, group.toState, group.symbols),
+        geometry.labelX,
+        geometry.labelY,
+      );
+      include(rect.x, rect.y);
+      include(rect.x + rect.width, rect.y + rect.height);
     });
+    return {
+      x: minX - margin,
+      y: minY - margin,
+      width: maxX - minX + margin * 2,
+      height: maxY - minY + margin * 2,
+    };
+  }
+
+  drawScene() {
+    const ctx = this.ctx;
+
+    // Group transitions by state pairs
+    const transitionGroups = this.getTransitionGroups();
 
     // Draw transitions
-    transitionGroups.forEach((group) => {
-      this.drawTransition(group.fromState, group.toState, group.symbols);
+    const selectedKey = this.selectedEdge
+      ? `${this.selectedEdge.fromState.id}-${this.selectedEdge.toState.id}`
+      : null;
+    transitionGroups.forEach((group, key) => {
+      let color = "#2c3e50";
+      if (this.highlight && this.highlight.edges.has(key)) {
+        color = this.highlight.stroke;
+      } else if (key === selectedKey) {
+        color = "#667eea";
+      }
+      this.drawTransition(group.fromState, group.toState, group.symbols, color);
     });
 
-    // Draw temporary transition line
-    if (this.mode === "addTransition" && this.transitionStart) {
+    // Draw temporary transition line, either for a new transition or
+    // while dragging an arrowhead to a new target
+    const pendingFrom =
+      this.mode === "addTransition" && this.transitionStart
+        ? this.transitionStart
+        : this.retargetEdge && this.retargetEdge.fromState;
+    if (pendingFrom) {
       ctx.strokeStyle = "#667eea";
       ctx.setLineDash([5, 5]);
       ctx.beginPath();
-      ctx.moveTo(this.transitionStart.x, this.transitionStart.y);
+      ctx.moveTo(pendingFrom.x, pendingFrom.y);
       ctx.lineTo(this.mousePos.x, this.mousePos.y);
       ctx.stroke();
       ctx.setLineDash([]);
     }
+    const keyboard = this.keyboardTransition;
+    if (keyboard) {
+      ctx.strokeStyle = "#667eea";
+      ctx.lineWidth = 2;
+      ctx.setLineDash([5, 5]);
+      ctx.beginPath();
+      ctx.moveTo(keyboard.fromState.x, keyboard.fromState.y);
+      ctx.lineTo(keyboard.target.x, keyboard.target.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
 
     // Draw states
     this.dfa.states.forEach((state) => {
       this.drawState(state);
     });
+
+    // Ring around the target a keyboard transition would go to.
+    if (keyboard) {
+      const { target } = keyboard;
+      ctx.strokeStyle = "#667eea";
+      ctx.lineWidth = 2;
+      ctx.setLineDash([4, 4]);
+      ctx.beginPath();
+      ctx.arc(target.x, target.y, target.radius + 10, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    if (this.rubberBand) {
+      const { x0, y0, x1, y1 } = this.rubberBand;
+      ctx.fillStyle = "rgba(102, 126, 234, 0.1)";
+      ctx.strokeStyle = "#667eea";
+      ctx.lineWidth = 1 / this.view.scale;
+      ctx.setLineDash([4 / this.view.scale, 4 / this.view.scale]);
+      ctx.fillRect(x0, y0, x1 - x0, y1 - y0);
+      ctx.strokeRect(x0, y0, x1 - x0, y1 - y0);
+      ctx.setLineDash([]);
+    }
   }
 
   drawState(state) {
     const ctx = this.ctx;
-    const isSelected = this.selectedState === state;
+    const isSelected = this.selectedStates.has(state);
+    const isHighlighted = Boolean(
+      this.highlight && this.highlight.states.has(state),
+    );
+    let stroke = "#2c3e50";
+    let fill = this.stateColors.get(state) || "white";
+    if (isHighlighted) {
+      stroke = this.highlight.stroke;
+      fill = this.highlight.fill;
+    } else if (isSelected) {
+      stroke = "#667eea";
+      fill = "#e3e8ff";
+    }
+    const lineWidth = isSelected || isHighlighted ? 3 : 2;
 
     // Draw outer circle for accept states
     if (state.isAccept) {
-      ctx.strokeStyle = isSelected ? "#667eea" : "#2c3e50";
-      ctx.lineWidth = isSelected ? 3 : 2;
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = lineWidth;
       ctx.beginPath();
       ctx.arc(state.x, state.y, state.radius + 5, 0, Math.PI * 2);
       ctx.stroke();
     }
 
     // Draw main circle
-    ctx.fillStyle = isSelected ? "#e3e8ff" : "white";
-    ctx.strokeStyle = isSelected ? "#667eea" : "#2c3e50";
-    ctx.lineWidth = isSelected ? 3 : 2;
+    ctx.fillStyle = fill;
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = lineWidth;
     ctx.beginPath();
     ctx.arc(state.x, state.y, state.radius, 0, Math.PI * 2);
     ctx.fill();
@@ -409,51 +1388,203 @@ class DFACanvas {
       ctx.fill();
     }
 
-    // Draw state name
+    // Draw state name, and below it the output of a Moore state
     ctx.fillStyle = "#2c3e50";
     ctx.font = "bold 16px Arial";
     ctx.textAlign = "center";
     ctx.textBaseline = "middle";
-    ctx.fillText(state.name, state.x, state.y);
+    if (this.dfa.machine === "moore") {
+      ctx.fillText(state.name, state.x, state.y - 8);
+      ctx.font = "14px Arial";
+      ctx.fillStyle = state.output ? "#2c3e50" : "#e74c3c";
+      ctx.fillText(state.output || "?", state.x, state.y + 10);
+    } else {
+      ctx.fillText(state.name, state.x, state.y);
+    }
+  }
+
+  // A select for an output symbol, with "—" for none.
+  outputSelect(current, onChange) {
+    const select = document.createElement("select");
+    select.className = "output-select";
+    select.title = "Output";
+    ["", ...this.dfa.outputAlphabet].forEach((symbol) => {
+      const option = document.createElement("option");
+      option.value = symbol;
+      option.textContent = symbol ? `/${symbol}` : "/—";
+      select.appendChild(option);
+    });
+    select.value = current || "";
+    select.addEventListener("change", () => onChange(select.value || null));
+    return select;
+  }
+
+  // Where an edge between two states runs. Drawing and hit testing both
+  // use this, so a click lands on exactly what is on screen.
+  getEdgeGeometry(fromState, toState) {
+    if (fromState === toState) {
+      const loopRadius = 18;
+      const loopY = fromState.y - fromState.radius - 12;
+      // Arc shifted counter-clockwise for better arrowhead positioning
+      const startAngle = 0.7 * Math.PI;
+      const endAngle = 2.15 * Math.PI;
+      return {
+        isLoop: true,
+        centerX: fromState.x,
+        centerY: loopY,
+        loopRadius,
+        startAngle,
+        endAngle,
+        arrowX: fromState.x + loopRadius * Math.cos(endAngle),
+        arrowY: loopY + loopRadius * Math.sin(endAngle),
+        labelX: fromState.x,
+        labelY: loopY - loopRadius - 5,
+      };
+    }
+
+    const angle = Math.atan2(toState.y - fromState.y, toState.x - fromState.x);
+    const startX = fromState.x + fromState.radius * Math.cos(angle);
+    const startY = fromState.y + fromState.radius * Math.sin(angle);
+    const endX = toState.x - toState.radius * Math.cos(angle);
+    const endY = toState.y - toState.radius * Math.sin(angle);
+
+    // Curve the edge if there's a reverse transition
+    const hasReverse = this.dfa.hasTransitionBetween(toState, fromState);
+    const curve = hasReverse ? 20 : 0;
+    const midX = (startX + endX) / 2;
+    const midY = (startY + endY) / 2;
+    const perpAngle = angle + Math.PI / 2;
+
+    let finalAngle = angle;
+    if (curve !== 0) {
+      finalAngle = Math.atan2(
+        endY - (endY + curve * Math.cos(angle + Math.PI / 2)),
+        endX - (endX - curve * Math.sin(angle + Math.PI / 2)),
+      );
+    }
+
+    return {
+      isLoop: false,
+      startX,
+      startY,
+      endX,
+      endY,
+      curve,
+      controlX: midX + curve * Math.cos(perpAngle),
+      controlY: midY + curve * Math.sin(perpAngle),
+      finalAngle,
+      labelX: midX + (curve / 2) * Math.cos(perpAngle),
+      labelY: midY + (curve / 2) * Math.sin(perpAngle),
+    };
+  }
+
+  // Bounding box of the rounded label pill drawn at (labelX, labelY).
+  getLabelRect(label, labelX, labelY) {
+    this.ctx.font = "bold 14px Arial";
+    const textWidth = this.ctx.measureText(label).width;
+    const padding = 4;
+    const height = 20;
+    const width = Math.max(height, textWidth + padding * 2);
+    return { x: labelX - width / 2, y: labelY - height / 2, width, height };
+  }
+
+  // All edges as drawn, keyed by "fromId-toId".
+  getTransitionGroups() {
+    const transitionGroups = new Map();
+    this.dfa.getTransitionGroups().forEach((group) => {
+      transitionGroups.set(`${group.fromState.id}-${group.toState.id}`, group);
+    });
+    return transitionGroups;
+  }
+
+  // The edge group under (x, y), checking label pills first since they
+  // sit on top of the lines.
+  getTransitionAt(x, y) {
+    // Six screen pixels, whatever the zoom.
+    const tolerance = 6 / this.view.scale;
+    const groups = Array.from(this.getTransitionGroups().values());
+
+    for (const group of groups) {
+      const geometry = this.getEdgeGeometry(group.fromState, group.toState);
+      const rect = this.getLabelRect(
+        this.dfa.edgeLabel(group.fromState, group.toState, group.symbols),
+        geometry.labelX,
+        geometry.labelY,
+      );
+      if (
+        x >= rect.x &&
+        x <= rect.x + rect.width &&
+        y >= rect.y &&
+        y <= rect.y + rect.height
+      ) {
+        return group;
+      }
+    }
+
+    for (const group of groups) {
+      const geometry = this.getEdgeGeometry(group.fromState, group.toState);
+      if (geometry.isLoop) {
+        const distance = Math.hypot(x - geometry.centerX, y - geometry.centerY);
+        if (Math.abs(distance - geometry.loopRadius) <= tolerance) {
+          return group;
+        }
+        continue;
+      }
+
+      // Approximate the (possibly curved) edge with short segments.
+      const steps = geometry.curve === 0 ? 1 : 16;
+      let prevX = geometry.startX;
+      let prevY = geometry.startY;
+      for (let i = 1; i <= steps; i++) {
+        const t = i / steps;
+        const pointX =
+          (1 - t) * (1 - t) * geometry.startX +
+          2 * (1 - t) * t * geometry.controlX +
+          t * t * geometry.endX;
+        const pointY =
+          (1 - t) * (1 - t) * geometry.startY +
+          2 * (1 - t) * t * geometry.controlY +
+          t * t * geometry.endY;
+        if (
+          distanceToSegment(x, y, prevX, prevY, pointX, pointY) <= tolerance
+        ) {
+          return group;
+        }
+        prevX = pointX;
+        prevY = pointY;
+      }
+    }
+    return null;
+  }
+
+  // Whether (x, y) is on the arrowhead of the given edge group.
+  isOnArrowhead(group, x, y) {
+    const geometry = this.getEdgeGeometry(group.fromState, group.toState);
+    const tipX = geometry.isLoop ? geometry.arrowX : geometry.endX;
+    const tipY = geometry.isLoop ? geometry.arrowY : geometry.endY;
+    return Math.hypot(x - tipX, y - tipY) <= 10 / this.view.scale;
   }
 
-  drawTransition(fromState, toState, symbols) {
+  drawTransition(fromState, toState, symbols, color = "#2c3e50") {
     const ctx = this.ctx;
-    const symbolLabel = symbols.join(",");
+    const symbolLabel = this.dfa.edgeLabel(fromState, toState, symbols);
 
     if (fromState === toState) {
       // Self-loop
-      this.drawSelfLoop(fromState, symbolLabel);
+      this.drawSelfLoop(fromState, symbolLabel, color);
     } else {
       // Regular transition
-      const angle = Math.atan2(
-        toState.y - fromState.y,
-        toState.x - fromState.x,
-      );
-      const startX = fromState.x + fromState.radius * Math.cos(angle);
-      const startY = fromState.y + fromState.radius * Math.sin(angle);
-      const endX = toState.x - toState.radius * Math.cos(angle);
-      const endY = toState.y - toState.radius * Math.sin(angle);
-
-      // Check if there's a reverse transition
-      const hasReverse = Object.keys(toState.transitions).some(
-        (sym) => toState.transitions[sym] === fromState,
-      );
-      const curve = hasReverse ? 20 : 0;
+      const geometry = this.getEdgeGeometry(fromState, toState);
+      const { endX, endY, finalAngle } = geometry;
 
       // Draw curved line
-      ctx.strokeStyle = "#2c3e50";
+      ctx.strokeStyle = color;
       ctx.lineWidth = 2;
       ctx.beginPath();
-      ctx.moveTo(startX, startY);
-
-      if (curve !== 0) {
-        const midX = (startX + endX) / 2;
-        const midY = (startY + endY) / 2;
-        const perpAngle = angle + Math.PI / 2;
-        const controlX = midX + curve * Math.cos(perpAngle);
-        const controlY = midY + curve * Math.sin(perpAngle);
-        ctx.quadraticCurveTo(controlX, controlY, endX, endY);
+      ctx.moveTo(geometry.startX, geometry.startY);
+
+      if (geometry.curve !== 0) {
+        ctx.quadraticCurveTo(geometry.controlX, geometry.controlY, endX, endY);
       } else {
         ctx.lineTo(endX, endY);
       }
@@ -462,15 +1593,6 @@ class DFACanvas {
 
       // Draw arrowhead
       const arrowSize = 10;
-      let finalAngle = angle;
-
-      if (curve !== 0) {
-        finalAngle = Math.atan2(
-          endY - (endY + curve * Math.cos(angle + Math.PI / 2)),
-          endX - (endX - curve * Math.sin(angle + Math.PI / 2)),
-        );
-      }
-
       ctx.beginPath();
       ctx.moveTo(endX, endY);
       ctx.lineTo(
@@ -482,66 +1604,31 @@ class DFACanvas {
         endY - arrowSize * Math.sin(finalAngle + Math.PI / 6),
       );
       ctx.closePath();
-      ctx.fillStyle = "#2c3e50";
+      ctx.fillStyle = color;
       ctx.fill();
 
       // Draw symbol label
-      let labelX, labelY;
-      if (curve !== 0) {
-        const midX = (startX + endX) / 2;
-        const midY = (startY + endY) / 2;
-        const perpAngle = angle + Math.PI / 2;
-        labelX = midX + (curve / 2) * Math.cos(perpAngle);
-        labelY = midY + (curve / 2) * Math.sin(perpAngle);
-      } else {
-        labelX = (startX + endX) / 2;
-        labelY = (startY + endY) / 2;
-      }
-
-      // Measure text width for background
-      ctx.font = "bold 14px Arial";
-      const textWidth = ctx.measureText(symbolLabel).width;
-      const padding = 4;
-      const borderRadius = 999;
-
-      // Draw rounded rectangle background (circle for short text)
-      const bgHeight = 20;
-      const bgWidth = Math.max(bgHeight, textWidth + padding * 2);
-      const bgX = labelX - bgWidth / 2;
-      const bgY = labelY - bgHeight / 2;
-
-      ctx.fillStyle = "white";
-      ctx.beginPath();
-      ctx.roundRect(bgX, bgY, bgWidth, bgHeight, borderRadius);
-      ctx.fill();
-      ctx.strokeStyle = "#2c3e50";
-      ctx.lineWidth = 2;
-      ctx.stroke();
-
-      ctx.fillStyle = "#2c3e50";
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      ctx.fillText(symbolLabel, labelX, labelY);
+      this.drawLabel(symbolLabel, geometry.labelX, geometry.labelY, color);
     }
   }
 
-  drawSelfLoop(state, symbol) {
+  drawSelfLoop(state, symbol, color = "#2c3e50") {
     const ctx = this.ctx;
-    const loopRadius = 18;
-    const loopY = state.y - state.radius - 12;
+    const geometry = this.getEdgeGeometry(state, state);
+    const { arrowX, arrowY, endAngle } = geometry;
 
-    ctx.strokeStyle = "#2c3e50";
+    ctx.strokeStyle = color;
     ctx.lineWidth = 2;
     ctx.beginPath();
-    // Draw arc - shifted counter-clockwise for better arrowhead positioning
-    ctx.arc(state.x, loopY, loopRadius, 0.7 * Math.PI, 2.15 * Math.PI);
+    ctx.arc(
+      geometry.centerX,
+      geometry.centerY,
+      geometry.loopRadius,
+      geometry.startAngle,
+      endAngle,
+    );
     ctx.stroke();
 
-    // Draw arrowhead at end of arc
-    const endAngle = 2.15 * Math.PI;
-    const arrowX = state.x + loopRadius * Math.cos(endAngle);
-    const arrowY = loopY + loopRadius * Math.sin(endAngle);
-
     // Tangent angle at the end point (perpendicular to radius, pointing counter-clockwise)
     const tangentAngle = endAngle + Math.PI / 2;
     const arrowSize = 10;
@@ -562,41 +1649,38 @@ class DFACanvas {
       arrowY + baseWidth * Math.sin(tangentAngle - Math.PI / 2),
     );
     ctx.closePath();
-    ctx.fillStyle = "#2c3e50";
+    ctx.fillStyle = color;
     ctx.fill();
 
-    // Draw symbol label with dynamic width
-    ctx.font = "bold 14px Arial";
-    const textWidth = ctx.measureText(symbol).width;
-    const padding = 4;
-    const labelY = loopY - loopRadius - 5;
-    const borderRadius = 999;
+    this.drawLabel(symbol, geometry.labelX, geometry.labelY, color);
+  }
 
-    // Draw rounded rectangle background (circle for short text)
-    const bgHeight = 20;
-    const bgWidth = Math.max(bgHeight, textWidth + padding * 2);
-    const bgX = state.x - bgWidth / 2;
-    const bgY = labelY - bgHeight / 2;
+  // Symbol label on a rounded rectangle background (circle for short text)
+  drawLabel(label, labelX, labelY, color) {
+    const ctx = this.ctx;
+    const rect = this.getLabelRect(label, labelX, labelY);
+    const borderRadius = 999;
 
     ctx.fillStyle = "white";
     ctx.beginPath();
-    ctx.roundRect(bgX, bgY, bgWidth, bgHeight, borderRadius);
+    ctx.roundRect(rect.x, rect.y, rect.width, rect.height, borderRadius);
     ctx.fill();
-    ctx.strokeStyle = "#2c3e50";
+    ctx.strokeStyle = color;
     ctx.lineWidth = 2;
     ctx.stroke();
 
-    ctx.fillStyle = "#2c3e50";
+    ctx.fillStyle = color;
     ctx.textAlign = "center";
     ctx.textBaseline = "middle";
-    ctx.fillText(symbol, state.x, labelY);
+    ctx.fillText(label, labelX, labelY);
   }
 }
 
 // Initialize application
 const dfa = new DFA();
 const canvas = document.getElementById("dfaCanvas");
-const dfaCanvas = new DFACanvas(canvas, dfa);
+const editHistory = new EditHistory();
+const dfaCanvas = new DFACanvas(canvas, dfa, editHistory);
 
 // Toolbar event listeners
 document.getElementById("addStateBtn").addEventListener("click", () => {
@@ -621,144 +1705,2127 @@ document.getElementById("deleteBtn").addEventListener("click", () => {
 
 document.getElementById("clearBtn").addEventListener("click", () => {
   if (confirm("Are you sure you want to clear all states and transitions?")) {
-    dfa.states = [];
-    dfa.startState = null;
-    dfa.stateIdCounter = 0;
+    editHistory.execute(
+      snapshotCommand(dfa, "Clear all", () => {
+        dfa.states = [];
+        dfa.startState = null;
+        dfa.stateIdCounter = 0;
+      }),
+    );
     dfaCanvas.selectedState = null;
     dfaCanvas.updateStateConfig();
     dfaCanvas.draw();
   }
 });
 
-function setActiveButton(activeId) {
-  const buttons = ["addStateBtn", "addTransitionBtn", "selectBtn", "deleteBtn"];
-  buttons.forEach((id) => {
-    document.getElementById(id).classList.remove("active");
-  });
-  document.getElementById(activeId).classList.add("active");
+// View
+document.getElementById("zoomInBtn").addEventListener("click", () => {
+  dfaCanvas.zoomBy(1.25);
+});
+
+document.getElementById("zoomOutBtn").addEventListener("click", () => {
+  dfaCanvas.zoomBy(0.8);
+});
+
+document.getElementById("fitViewBtn").addEventListener("click", () => {
+  dfaCanvas.fitToView();
+});
+
+// Save / load
+document.getElementById("exportBtn").addEventListener("click", () => {
+  const json = JSON.stringify(dfa.toJSON(), null, 2);
+  downloadFile("dfa.json", new Blob([json], { type: "application/json" }));
+});
+
+function downloadFile(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
 }
 
-// Alphabet configuration
-document.getElementById("setAlphabetBtn").addEventListener("click", () => {
-  const input = document.getElementById("alphabetInput").value;
-  const symbols = input
-    .split(",")
-    .map((s) => s.trim())
-    .filter((s) => s.length > 0);
+// Diagram export
+const DIAGRAM_BACKGROUND = "white";
 
-  if (symbols.length === 0) {
-    alert("Please enter at least one symbol");
-    return;
+document
+  .getElementById("exportFormatSelect")
+  .addEventListener("change", (e) => {
+    document.getElementById("pngScaleGroup").style.display =
+      e.target.value === "png" ? "flex" : "none";
+  });
+
+document.getElementById("exportDiagramBtn").addEventListener("click", () => {
+  const format = document.getElementById("exportFormatSelect").value;
+
+  if (format === "svg") {
+    const svg = new SvgContext(dfaCanvas.ctx);
+    dfaCanvas.drawPlain(svg);
+    downloadFile(
+      "automaton.svg",
+      new Blob([svg.toSvg(dfaCanvas.getDiagramBounds(), DIAGRAM_BACKGROUND)], {
+        type: "image/svg+xml",
+      }),
+    );
+  } else if (format === "png") {
+    const scale = parseFloat(document.getElementById("pngScaleSelect").value);
+    const bounds = dfaCanvas.getDiagramBounds();
+    const image = document.createElement("canvas");
+    image.width = Math.ceil(bounds.width * scale);
+    image.height = Math.ceil(bounds.height * scale);
+    const ctx = image.getContext("2d");
+    ctx.fillStyle = DIAGRAM_BACKGROUND;
+    ctx.fillRect(0, 0, image.width, image.height);
+    ctx.setTransform(scale, 0, 0, scale, -bounds.x * scale, -bounds.y * scale);
+    dfaCanvas.drawPlain(ctx);
+    image.toBlob((blob) => downloadFile("automaton.png", blob), "image/png");
+  } else if (format === "tikz") {
+    downloadFile(
+      "automaton.tex",
+      new Blob([dfa.toTikz()], { type: "text/x-tex" }),
+    );
+  } else if (format === "dot") {
+    downloadFile(
+      "automaton.dot",
+      new Blob([dfa.toDot()], { type: "text/vnd.graphviz" }),
+    );
   }
+});
 
-  dfa.setAlphabet(symbols);
-  document.getElementById("alphabetDisplay").textContent =
-    `Current: {${symbols.join(", ")}}`;
-  dfaCanvas.draw();
+document.getElementById("importBtn").addEventListener("click", () => {
+  document.getElementById("importFileInput").click();
 });
 
-// State configuration
-document.getElementById("setStartState").addEventListener("change", (e) => {
-  if (dfaCanvas.selectedState) {
-    if (e.target.checked) {
-      // Remove start state from others
-      dfa.states.forEach((s) => (s.isStart = false));
-      dfaCanvas.selectedState.isStart = true;
-      dfa.startState = dfaCanvas.selectedState;
-    } else {
-      dfaCanvas.selectedState.isStart = false;
-      if (dfa.startState === dfaCanvas.selectedState) {
-        dfa.startState = null;
-      }
+document
+  .getElementById("importFileInput")
+  .addEventListener("change", async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const doc = JSON.parse(await file.text());
+      editHistory.execute(
+        snapshotCommand(dfa, `Import ${file.name}`, () => dfa.load(doc)),
+      );
+    } catch (err) {
+      alert(`Could not import ${file.name}: ${err.message}`);
+      return;
     }
-    dfaCanvas.draw();
-  }
-});
+    afterLoad();
+    dfaCanvas.fitToView();
+  });
 
-document.getElementById("setAcceptState").addEventListener("change", (e) => {
-  if (dfaCanvas.selectedState) {
-    dfaCanvas.selectedState.isAccept = e.target.checked;
-    dfaCanvas.draw();
+// Shareable links
+//
+// A link carries the whole automaton in its fragment: #dfa=<data>, where
+// the data is the JSON document, deflated and base64url-encoded after a
+// "z" (or a "j" and plain JSON where the browser can't compress). The
+// test string, if any, follows as &test=<string>.
+
+const SHARE_PARAM = "dfa";
+const SHARE_TEST_PARAM = "test";
+// Longer links get cut off by mail and chat clients.
+const MAX_SHARE_LENGTH = 8000;
+// Fragments beyond this are refused without trying to decode them.
+const MAX_SHARE_FRAGMENT = 200000;
+
+function toBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
   }
-});
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
 
-document.getElementById("stateNameInput").addEventListener("input", (e) => {
-  if (dfaCanvas.selectedState) {
-    dfaCanvas.selectedState.name =
-      e.target.value || `q${dfaCanvas.selectedState.id}`;
-    dfaCanvas.draw();
+function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+    throw new Error("the link contains characters that don't belong in it");
   }
-});
+  let binary;
+  try {
+    binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  } catch (err) {
+    throw new Error("the link is corrupted or was cut off");
+  }
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
 
-// String testing
-document.getElementById("testStringBtn").addEventListener("click", () => {
-  const input = document.getElementById("testStringInput").value;
-  const result = dfa.simulate(input);
-  const resultDiv = document.getElementById("testResult");
-  const traceDiv = document.getElementById("executionTrace");
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
 
-  if (result.error) {
-    resultDiv.className = "result-display error";
-    resultDiv.textContent = `Error: ${result.error}`;
-  } else if (result.accepted) {
-    resultDiv.className = "result-display accepted";
-    resultDiv.textContent = `✓ ACCEPTED - String "${input || "ε"}" is accepted by the DFA`;
-  } else {
-    resultDiv.className = "result-display rejected";
-    resultDiv.textContent = `✗ REJECTED - String "${input || "ε"}" is rejected by the DFA`;
+async function encodeShareData(doc) {
+  // Whole-pixel positions are plenty and compress better.
+  const compact = {
+    ...doc,
+    states: doc.states.map((state) => ({
+      ...state,
+      x: Math.round(state.x),
+      y: Math.round(state.y),
+    })),
+  };
+  const bytes = new TextEncoder().encode(JSON.stringify(compact));
+  if (typeof CompressionStream === "undefined") {
+    return `j${toBase64Url(bytes)}`;
   }
+  const deflated = await pipeBytes(bytes, new CompressionStream("deflate-raw"));
+  return `z${toBase64Url(deflated)}`;
+}
 
-  // Display trace
-  if (result.trace && result.trace.length > 0) {
-    traceDiv.className = "trace-display show";
-    traceDiv.innerHTML = "<strong>Execution Trace:</strong><br>";
-    result.trace.forEach((step, index) => {
-      const stepText =
-        step.symbol === "START"
-          ? `Start in state ${step.state}`
-          : `Read '${step.symbol}' → ${step.state}`;
-      traceDiv.innerHTML += `<div class="trace-step">${stepText}</div>`;
-    });
-  } else {
-    traceDiv.className = "trace-display";
+// The JSON document in a link's data. Throws with a message saying what
+// is wrong with the link.
+async function decodeShareData(data) {
+  let bytes = fromBase64Url(data.slice(1));
+  if (data[0] === "z") {
+    if (typeof DecompressionStream === "undefined") {
+      throw new Error("this browser can't read compressed links");
+    }
+    try {
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    } catch (err) {
+      throw new Error("the link is corrupted or was cut off");
+    }
+  } else if (data[0] !== "j") {
+    throw new Error("the link is not from this app");
   }
-});
+  try {
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (err) {
+    throw new Error("the link is corrupted or was cut off");
+  }
+}
 
-// Generate all strings
-document.getElementById("generateBtn").addEventListener("click", () => {
-  const maxLength = parseInt(document.getElementById("maxLengthInput").value);
-  const results = dfa.generateAllStrings(maxLength);
-  const displayDiv = document.getElementById("generatedStrings");
+async function shareUrl() {
+  const params = new URLSearchParams();
+  params.set(SHARE_PARAM, await encodeShareData(dfa.toJSON()));
+  const test = document.getElementById("testStringInput").value;
+  if (test) params.set(SHARE_TEST_PARAM, test);
+  const url = new URL(window.location.href);
+  url.hash = params.toString();
+  return url.toString();
+}
 
-  if (results.length === 0) {
-    displayDiv.innerHTML =
-      '<p style="color: #868e96;">No strings generated</p>';
+document.getElementById("copyLinkBtn").addEventListener("click", async () => {
+  const button = document.getElementById("copyLinkBtn");
+  const url = await shareUrl();
+  if (url.length > MAX_SHARE_LENGTH) {
+    alert(
+      `This automaton is too large for a link (${url.length} characters, at most ${MAX_SHARE_LENGTH}). Use Export to share it as a file instead.`,
+    );
+    return;
+  }
+  try {
+    await navigator.clipboard.writeText(url);
+  } catch (err) {
+    prompt("Copy this link:", url);
     return;
   }
+  button.querySelector("span").textContent = "✓ Link Copied";
+  setTimeout(() => {
+    button.querySelector("span").textContent = "📋 Copy Link";
+  }, 1500);
+});
 
-  displayDiv.innerHTML = "";
-  const acceptedCount = results.filter((r) => r.accepted).length;
+// Opens the automaton in the page's fragment, if there is one, as an
+// undoable step so whatever was autosaved isn't lost. The fragment is
+// then removed so reloading doesn't open it again over later edits.
+async function openSharedLink() {
+  const params = new URLSearchParams(window.location.hash.slice(1));
+  const data = params.get(SHARE_PARAM);
+  if (data === null) return;
+  window.history.replaceState(
+    null,
+    "",
+    window.location.pathname + window.location.search,
+  );
+
+  try {
+    if (data.length > MAX_SHARE_FRAGMENT) {
+      throw new Error("the link is too large to open");
+    }
+    const doc = await decodeShareData(data);
+    editHistory.execute(
+      snapshotCommand(dfa, "Open shared link", () => dfa.load(doc)),
+    );
+  } catch (err) {
+    alert(`Could not open the shared automaton: ${err.message}`);
+    return;
+  }
+  afterLoad();
+  dfaCanvas.fitToView();
 
-  const summary = document.createElement("div");
-  summary.style.marginBottom = "10px";
-  summary.style.fontWeight = "bold";
-  summary.innerHTML = `Total: ${results.length} strings | Accepted: ${acceptedCount} | Rejected: ${results.length - acceptedCount}`;
-  displayDiv.appendChild(summary);
+  const test = params.get(SHARE_TEST_PARAM);
+  if (test !== null) {
+    document.getElementById("testStringInput").value = test;
+    document.getElementById("testStringBtn").click();
+  }
+}
 
-  results.forEach((result) => {
-    const div = document.createElement("div");
-    div.className = `string-result ${result.accepted ? "accepted" : "rejected"}`;
-    div.innerHTML = `
-            <span class="string-value">${result.string}</span>
-            <span class="string-status">${result.accepted ? "✓ Accept" : "✗ Reject"}</span>
-        `;
-    displayDiv.appendChild(div);
-  });
+window.addEventListener("hashchange", openSharedLink);
+
+const importTextDialog = document.getElementById("importTextDialog");
+const importTextInput = document.getElementById("importTextInput");
+
+document.getElementById("importTextBtn").addEventListener("click", () => {
+  showImportError(null);
+  importTextDialog.showModal();
+  importTextInput.focus();
 });
 
-// Allow Enter key for testing
-document.getElementById("testStringInput").addEventListener("keypress", (e) => {
-  if (e.key === "Enter") {
-    document.getElementById("testStringBtn").click();
+document
+  .getElementById("importTextFileInput")
+  .addEventListener("change", async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    importTextInput.value = await file.text();
+    if (file.name.endsWith(".jff")) {
+      document.getElementById("importFormatSelect").value = "jflap";
+    } else if (/\.(dot|gv)$/.test(file.name)) {
+      document.getElementById("importFormatSelect").value = "dot";
+    }
+    showImportError(null);
+  });
+
+document
+  .getElementById("importTextConfirmBtn")
+  .addEventListener("click", () => {
+    const text = importTextInput.value;
+    const format = document.getElementById("importFormatSelect").value;
+    let imported;
+    try {
+      imported = parseAutomatonText(
+        text,
+        format === "auto" ? detectImportFormat(text) : format,
+      );
+    } catch (err) {
+      showImportError(err);
+      return;
+    }
+    importTextDialog.close();
+    replaceAutomaton(imported.dfa, imported.hasPositions);
+  });
+
+// Shows a parse error under the text box and selects the offending
+// character, or clears the error when `err` is null.
+function showImportError(err) {
+  const display = document.getElementById("importTextError");
+  display.className = err ? "result-display error" : "result-display";
+  display.textContent = err ? err.message : "";
+  if (err instanceof ParseError) {
+    const lines = importTextInput.value.split("\n");
+    const offset =
+      lines
+        .slice(0, err.line - 1)
+        .reduce((total, line) => total + line.length + 1, 0) +
+      err.column -
+      1;
+    importTextInput.focus();
+    importTextInput.setSelectionRange(offset, offset + 1);
   }
-});
+}
+
+// Refreshes everything that depends on the automaton after it has been
+// replaced wholesale. Undo/redo passes `keepSelection` so the selected
+// state stays selected when it still exists.
+function afterLoad(keepSelection = false) {
+  closeMinimizeView();
+  loadPlayback({ trace: [] });
+  const selected = keepSelection ? Array.from(dfaCanvas.selectedStates) : [];
+  dfaCanvas.selectedStates = new Set(
+    selected.map((state) => dfa.getStateById(state.id)).filter(Boolean),
+  );
+  dfaCanvas.transitionStart = null;
+  dfaCanvas.keyboardTransition = null;
+  dfaCanvas.selectEdge(null);
+  dfaCanvas.updateStateConfig();
+  updateAlphabetDisplay();
+  updateTypeControls();
+  updateTestSuiteInput();
+  dfaCanvas.draw();
+}
+
+// Autosave to localStorage. Saving is debounced so dragging a state
+// doesn't serialize the whole DFA on every mouse move.
+const AUTOSAVE_KEY = "vibe-dfa:autosave";
+let autosaveTimer = null;
+
+function scheduleAutosave() {
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(() => {
+    try {
+      localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(dfa.toJSON()));
+    } catch (err) {
+      console.warn("Autosave failed:", err);
+    }
+  }, 300);
+}
+
+function restoreAutosave() {
+  let saved = null;
+  try {
+    saved = localStorage.getItem(AUTOSAVE_KEY);
+  } catch (err) {
+    console.warn("Autosave unavailable:", err);
+  }
+  if (!saved) return;
+
+  try {
+    dfa.load(JSON.parse(saved));
+  } catch (err) {
+    console.warn("Ignoring unreadable autosave:", err);
+    return;
+  }
+  afterLoad();
+  dfaCanvas.fitToView();
+}
+
+// Validation panel, refreshed shortly after every redraw.
+let validationTimer = null;
+
+function scheduleValidation() {
+  clearTimeout(validationTimer);
+  validationTimer = setTimeout(updateValidation, 100);
+}
+
+function updateValidation() {
+  const issues = dfa.validate();
+  const listDiv = document.getElementById("validationList");
+  listDiv.innerHTML = "";
+
+  if (dfa.states.length === 0) {
+    listDiv.innerHTML = '<p class="info-text">Add some states to begin</p>';
+  } else if (issues.length === 0) {
+    listDiv.innerHTML = '<p class="validation-ok">✓ No problems found</p>';
+  }
+
+  issues.forEach((issue) => {
+    const div = document.createElement("div");
+    div.className = `validation-issue ${issue.kind}`;
+    div.textContent = issue.message;
+    if (issue.states.length > 0) {
+      div.classList.add("clickable");
+      div.title = "Select on canvas";
+      div.addEventListener("click", () => {
+        dfaCanvas.setMode("select");
+        setActiveButton("selectBtn");
+        dfaCanvas.selectedState = issue.states[0];
+        dfaCanvas.updateStateConfig();
+        dfaCanvas.draw();
+      });
+    }
+    listDiv.appendChild(div);
+  });
+
+  // A trap state has no outputs to give, so transducers are completed
+  // by hand.
+  const trapBtn = document.getElementById("completeWithTrapBtn");
+  trapBtn.disabled =
+    dfa.isTransducer() || !issues.some((issue) => issue.kind === "missing");
+  trapBtn.title = dfa.isTransducer()
+    ? "Mealy and Moore machines need an output on every new transition"
+    : "";
+}
+
+document.getElementById("completeWithTrapBtn").addEventListener("click", () => {
+  editHistory.execute(
+    snapshotCommand(dfa, "Complete with trap state", () => {
+      const visible = dfaCanvas.getVisibleBounds();
+      dfa.addTrapState(
+        visible.x + visible.width - 60,
+        visible.y + visible.height - 60,
+      );
+    }),
+  );
+  dfaCanvas.draw();
+});
+
+// Undo / redo
+function undo() {
+  dfaCanvas.finishLayoutAnimation();
+  if (editHistory.undo()) afterLoad(true);
+}
+
+function redo() {
+  dfaCanvas.finishLayoutAnimation();
+  if (editHistory.redo()) afterLoad(true);
+}
+
+document.getElementById("undoBtn").addEventListener("click", undo);
+document.getElementById("redoBtn").addEventListener("click", redo);
+
+editHistory.onChange = () => {
+  const undoBtn = document.getElementById("undoBtn");
+  const redoBtn = document.getElementById("redoBtn");
+  undoBtn.disabled = !editHistory.canUndo();
+  redoBtn.disabled = !editHistory.canRedo();
+  undoBtn.title = editHistory.canUndo()
+    ? `Undo ${editHistory.nextUndoLabel()} (Ctrl+Z)`
+    : "Undo (Ctrl+Z)";
+  redoBtn.title = editHistory.canRedo()
+    ? `Redo ${editHistory.nextRedoLabel()} (Ctrl+Shift+Z)`
+    : "Redo (Ctrl+Shift+Z)";
+};
+editHistory.onChange();
+
+// Number keys pick the toolbar tools.
+const MODE_KEYS = {
+  1: "addStateBtn",
+  2: "addTransitionBtn",
+  3: "selectBtn",
+  4: "deleteBtn",
+};
+
+// Text fields keep their own undo; everywhere else the shortcuts undo
+// automaton edits.
+document.addEventListener("keydown", (e) => {
+  if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName)) return;
+  if (e.key === "Delete" || e.key === "Backspace") {
+    if (dfaCanvas.selectedStates.size > 0) {
+      e.preventDefault();
+      dfaCanvas.deleteSelection();
+    }
+    return;
+  }
+  if (!(e.ctrlKey || e.metaKey || e.altKey) && MODE_KEYS[e.key]) {
+    e.preventDefault();
+    document.getElementById(MODE_KEYS[e.key]).click();
+    dfaCanvas.announce(
+      `${document.getElementById(MODE_KEYS[e.key]).title} mode`,
+    );
+    return;
+  }
+  if (!(e.ctrlKey || e.metaKey)) return;
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  } else if ((key === "z" && e.shiftKey) || key === "y") {
+    e.preventDefault();
+    redo();
+  }
+});
+
+// Copy / paste of selected states. The copy goes on the system
+// clipboard as JSON, so it can be pasted in another tab.
+let lastPaste = { text: null, count: 0 };
+
+document.addEventListener("copy", (e) => {
+  if (["INPUT", "TEXTAREA"].includes(e.target.tagName)) return;
+  if (dfaCanvas.selectedStates.size === 0) return;
+  const copy = dfa.copyStates(Array.from(dfaCanvas.selectedStates));
+  e.clipboardData.setData("text/plain", JSON.stringify(copy));
+  e.preventDefault();
+});
+
+document.addEventListener("paste", (e) => {
+  if (["INPUT", "TEXTAREA"].includes(e.target.tagName)) return;
+  const text = e.clipboardData.getData("text/plain");
+  let copy;
+  try {
+    copy = JSON.parse(text);
+  } catch (err) {
+    return;
+  }
+  if (!copy || copy.format !== DFA_CLIPBOARD_FORMAT) return;
+  e.preventDefault();
+
+  // Pasting the same copy again steps each new batch further along.
+  lastPaste =
+    lastPaste.text === text
+      ? { text, count: lastPaste.count + 1 }
+      : { text, count: 1 };
+  const offset = 40 * lastPaste.count;
+  let pasted = [];
+  try {
+    editHistory.execute(
+      snapshotCommand(dfa, "Paste states", () => {
+        pasted = dfa.pasteStates(copy, offset, offset);
+      }),
+    );
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  afterLoad();
+  dfaCanvas.selectedStates = new Set(
+    pasted.map((state) => dfa.getStateById(state.id)),
+  );
+  dfaCanvas.updateStateConfig();
+  dfaCanvas.draw();
+});
+
+document
+  .getElementById("toggleAcceptSelectedBtn")
+  .addEventListener("click", () => dfaCanvas.toggleAcceptSelection());
+
+document
+  .getElementById("deleteSelectedBtn")
+  .addEventListener("click", () => dfaCanvas.deleteSelection());
+
+function setActiveButton(activeId) {
+  const buttons = ["addStateBtn", "addTransitionBtn", "selectBtn", "deleteBtn"];
+  buttons.forEach((id) => {
+    document.getElementById(id).classList.remove("active");
+  });
+  document.getElementById(activeId).classList.add("active");
+}
+
+// Automaton type
+document
+  .getElementById("automatonTypeSelect")
+  .addEventListener("change", (e) => {
+    try {
+      editHistory.execute(
+        snapshotCommand(dfa, "Change automaton type", () =>
+          dfa.setType(e.target.value),
+        ),
+      );
+    } catch (err) {
+      alert(err.message);
+      e.target.value = dfa.type;
+      return;
+    }
+    updateTypeControls();
+    dfaCanvas.draw();
+  });
+
+document.getElementById("convertToDfaBtn").addEventListener("click", () => {
+  replaceAutomaton(dfa.toDFA());
+});
+
+// Puts an automaton produced by one of the algorithms or an import on
+// the canvas. These have no meaningful positions unless `keepPositions`
+// is set, so they get a layered layout first.
+function replaceAutomaton(result, keepPositions = false) {
+  dfaCanvas.finishLayoutAnimation();
+  if (!keepPositions) {
+    result.computeLayout("layered", canvasBounds()).forEach((position, id) => {
+      Object.assign(result.getStateById(id), position);
+    });
+  }
+  // The test suite describes the language, not this particular machine.
+  result.tests = dfa.tests;
+  editHistory.execute(
+    snapshotCommand(dfa, "Replace automaton", () => dfa.load(result.toJSON())),
+  );
+  afterLoad();
+  dfaCanvas.fitToView();
+}
+
+function canvasBounds() {
+  return dfaCanvas.getVisibleBounds();
+}
+
+// Auto-layout
+document.getElementById("autoLayoutBtn").addEventListener("click", () => {
+  if (dfa.states.length === 0) return;
+  const method = document.getElementById("layoutMethodSelect").value;
+  dfaCanvas.animateLayout(
+    dfa.computeLayout(method, canvasBounds()),
+    "Auto-layout",
+  );
+});
+
+function updateTypeControls() {
+  document.getElementById("automatonTypeSelect").value = dfa.type;
+  document.getElementById("automatonTypeSelect").disabled = dfa.isTransducer();
+  document.getElementById("convertToDfaBtn").disabled =
+    dfa.isDeterministic() || dfa.isPushdown();
+  document.querySelectorAll(".finite-only").forEach((section) => {
+    section.hidden = dfa.isPushdown();
+  });
+
+  document.getElementById("machineSelect").value = dfa.machine;
+  const convertBtn = document.getElementById("convertMachineBtn");
+  convertBtn.style.display = dfa.isTransducer() ? "" : "none";
+  convertBtn.textContent =
+    dfa.machine === "moore" ? "Convert to Mealy" : "Convert to Moore";
+  document.getElementById("outputAlphabetGroup").style.display =
+    dfa.isTransducer() ? "block" : "none";
+  document.getElementById("outputAlphabetInput").value = Array.from(
+    dfa.outputAlphabet,
+  ).join(",");
+
+  document.getElementById("pushdownGroup").style.display = dfa.isPushdown()
+    ? "block"
+    : "none";
+  document.getElementById("stackAlphabetInput").value = Array.from(
+    dfa.stackAlphabet,
+  ).join(",");
+  const initialStack = document.getElementById("initialStackSelect");
+  initialStack.innerHTML = "";
+  [EPSILON, ...dfa.stackAlphabet].forEach((symbol) => {
+    const option = document.createElement("option");
+    option.value = symbol;
+    option.textContent = symbol === EPSILON ? `${EPSILON} (empty)` : symbol;
+    initialStack.appendChild(option);
+  });
+  initialStack.value = dfa.initialStack === null ? EPSILON : dfa.initialStack;
+  document.getElementById("acceptBySelect").value = dfa.acceptBy;
+  document.getElementById("searchLimitInput").value = dfa.searchLimit;
+}
+
+// Mealy and Moore machines
+document.getElementById("machineSelect").addEventListener("change", (e) => {
+  try {
+    editHistory.execute(
+      snapshotCommand(dfa, "Change machine kind", () =>
+        dfa.setMachine(e.target.value),
+      ),
+    );
+  } catch (err) {
+    alert(err.message);
+    e.target.value = dfa.machine;
+    return;
+  }
+  afterLoad(true);
+});
+
+document.getElementById("convertMachineBtn").addEventListener("click", () => {
+  try {
+    if (dfa.machine === "moore") {
+      replaceAutomaton(dfa.toMealy(), true);
+    } else {
+      replaceAutomaton(dfa.toMoore());
+    }
+  } catch (err) {
+    alert(err.message);
+  }
+});
+
+document
+  .getElementById("setOutputAlphabetBtn")
+  .addEventListener("click", () => {
+    const symbols = document
+      .getElementById("outputAlphabetInput")
+      .value.split(",")
+      .map((s) => s.trim())
+      .filter((s) => s.length > 0);
+    if (symbols.length === 0) {
+      alert("Please enter at least one output symbol");
+      return;
+    }
+    editHistory.execute(
+      snapshotCommand(dfa, "Set output alphabet", () =>
+        dfa.setOutputAlphabet(new Set(symbols)),
+      ),
+    );
+    afterLoad(true);
+  });
+
+// Pushdown automata
+function editStackSettings(label, mutate) {
+  editHistory.execute(snapshotCommand(dfa, label, mutate));
+  afterLoad(true);
+}
+
+document.getElementById("setStackAlphabetBtn").addEventListener("click", () => {
+  const symbols = document
+    .getElementById("stackAlphabetInput")
+    .value.split(",")
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0);
+  if (symbols.length === 0) {
+    alert("Please enter at least one stack symbol");
+    return;
+  }
+  if (symbols.includes(EPSILON)) {
+    alert(`'${EPSILON}' is reserved and cannot be a stack symbol`);
+    return;
+  }
+  editStackSettings("Set stack alphabet", () =>
+    dfa.setStackAlphabet(new Set(symbols)),
+  );
+});
+
+document
+  .getElementById("initialStackSelect")
+  .addEventListener("change", (e) => {
+    const symbol = e.target.value === EPSILON ? null : e.target.value;
+    editStackSettings("Set initial stack", () => {
+      dfa.initialStack = symbol;
+    });
+  });
+
+document.getElementById("acceptBySelect").addEventListener("change", (e) => {
+  editStackSettings("Set acceptance", () => {
+    dfa.acceptBy = e.target.value;
+  });
+});
+
+document.getElementById("searchLimitInput").addEventListener("change", (e) => {
+  const limit = Number(e.target.value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    alert("The search limit must be a whole number of at least 1");
+    e.target.value = dfa.searchLimit;
+    return;
+  }
+  editStackSettings("Set search limit", () => {
+    dfa.searchLimit = limit;
+  });
+});
+
+// Minimization
+const BLOCK_COLORS = [
+  "#ffd8a8",
+  "#b2f2bb",
+  "#a5d8ff",
+  "#eebefa",
+  "#ffec99",
+  "#99e9f2",
+  "#ffc9c9",
+  "#d0bfff",
+];
+
+let minimization = null;
+let minimizationRound = 0;
+
+document.getElementById("minimizeBtn").addEventListener("click", () => {
+  try {
+    minimization = dfa.minimize();
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  minimizationRound = 0;
+  document.getElementById("minimizeView").style.display = "block";
+  showMinimizationRound();
+});
+
+document.getElementById("minimizePrevBtn").addEventListener("click", () => {
+  if (minimization && minimizationRound > 0) {
+    minimizationRound--;
+    showMinimizationRound();
+  }
+});
+
+document.getElementById("minimizeNextBtn").addEventListener("click", () => {
+  if (minimization && minimizationRound < minimization.rounds.length - 1) {
+    minimizationRound++;
+    showMinimizationRound();
+  }
+});
+
+document.getElementById("minimizeApplyBtn").addEventListener("click", () => {
+  if (minimization) {
+    replaceAutomaton(minimization.dfa, true);
+  }
+});
+
+document
+  .getElementById("minimizeCloseBtn")
+  .addEventListener("click", closeMinimizeView);
+
+function showMinimizationRound() {
+  const { rounds, unreachable, dead, dfa: result } = minimization;
+  const partition = rounds[minimizationRound];
+  const isLast = minimizationRound === rounds.length - 1;
+
+  dfaCanvas.stateColors = new Map();
+  partition.forEach((block, index) => {
+    block.forEach((state) => {
+      dfaCanvas.stateColors.set(
+        state,
+        BLOCK_COLORS[index % BLOCK_COLORS.length],
+      );
+    });
+  });
+  dfaCanvas.draw();
+
+  document.getElementById("minimizeRoundLabel").textContent =
+    `Round ${minimizationRound} of ${rounds.length - 1}`;
+  document.getElementById("minimizePrevBtn").disabled = minimizationRound === 0;
+  document.getElementById("minimizeNextBtn").disabled = isLast;
+
+  const blocksDiv = document.getElementById("minimizeBlocks");
+  blocksDiv.innerHTML = "";
+  partition.forEach((block, index) => {
+    const div = document.createElement("div");
+    div.className = "partition-block";
+    div.style.background = BLOCK_COLORS[index % BLOCK_COLORS.length];
+    div.textContent = dfa.formatStateSet(block);
+    blocksDiv.appendChild(div);
+  });
+
+  const summary = document.createElement("div");
+  summary.className = "info-text";
+  const notes = [];
+  if (minimizationRound === 0) {
+    notes.push("Initial split: accepting vs. non-accepting states");
+  }
+  if (unreachable.length > 0) {
+    notes.push(`Unreachable, dropped: ${dfa.formatStateSet(unreachable)}`);
+  }
+  if (dead.length > 0) {
+    notes.push(`Dead, dropped: ${dfa.formatStateSet(dead)}`);
+  }
+  if (isLast) {
+    notes.push(
+      result.states.length === dfa.states.length
+        ? "Stable - this DFA is already minimal"
+        : `Stable - ${dfa.states.length} states reduce to ${result.states.length}`,
+    );
+  }
+  summary.textContent = notes.join(". ");
+  blocksDiv.appendChild(summary);
+}
+
+function closeMinimizeView() {
+  minimization = null;
+  document.getElementById("minimizeView").style.display = "none";
+  if (dfaCanvas.stateColors.size > 0) {
+    dfaCanvas.stateColors = new Map();
+    dfaCanvas.draw();
+  }
+}
+
+// Reference automaton for comparisons
+let referenceDfa = null;
+
+document.getElementById("loadReferenceBtn").addEventListener("click", () => {
+  document.getElementById("referenceFileInput").click();
+});
+
+document
+  .getElementById("referenceFileInput")
+  .addEventListener("change", async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const reference = new DFA();
+    try {
+      reference.load(JSON.parse(await file.text()));
+      requireReference(reference);
+    } catch (err) {
+      alert(`Could not load ${file.name}: ${err.message}`);
+      return;
+    }
+    referenceDfa = reference;
+    document.getElementById("referenceDisplay").textContent =
+      `Reference: ${file.name} (${reference.states.length} states)`;
+    document.getElementById("equivalenceResult").className = "result-display";
+  });
+
+document.getElementById("useAsReferenceBtn").addEventListener("click", () => {
+  try {
+    requireReference(dfa);
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  referenceDfa = dfa.clone();
+  document.getElementById("referenceDisplay").textContent =
+    `Reference: snapshot of canvas (${referenceDfa.states.length} states)`;
+  document.getElementById("equivalenceResult").className = "result-display";
+});
+
+document.getElementById("checkEquivalenceBtn").addEventListener("click", () => {
+  const resultDiv = document.getElementById("equivalenceResult");
+  if (!referenceDfa) {
+    alert("Load a reference automaton first");
+    return;
+  }
+  if (!dfa.startState || !referenceDfa.startState) {
+    resultDiv.className = "result-display error";
+    resultDiv.textContent = "Error: both automata need a start state";
+    return;
+  }
+
+  let difference;
+  try {
+    difference = dfa.findCounterexample(referenceDfa);
+  } catch (err) {
+    resultDiv.className = "result-display error";
+    resultDiv.textContent = `Error: ${err.message}`;
+    return;
+  }
+  if (!difference) {
+    resultDiv.className = "result-display accepted";
+    resultDiv.textContent =
+      "✓ EQUIVALENT - both automata accept the same language";
+    return;
+  }
+
+  const acceptedBy =
+    difference.acceptedBy === "this" ? "your automaton" : "the reference";
+  resultDiv.className = "result-display rejected";
+  resultDiv.innerHTML = "";
+  resultDiv.append("✗ NOT EQUIVALENT - shortest counterexample ");
+  const link = document.createElement("a");
+  link.href = "#";
+  link.className = "counterexample";
+  link.textContent = `"${dfa.displayWord(difference.word)}"`;
+  link.title = "Run this string in the tester";
+  link.addEventListener("click", (e) => {
+    e.preventDefault();
+    document.getElementById("testStringInput").value = dfa.formatWord(
+      difference.word,
+    );
+    document.getElementById("testStringBtn").click();
+  });
+  resultDiv.append(link, ` is accepted only by ${acceptedBy}`);
+});
+
+// Grading: student files checked against the reference
+let gradeReports = [];
+
+document.getElementById("gradeSubmissionsBtn").addEventListener("click", () => {
+  if (!referenceDfa) {
+    alert("Load a reference automaton first");
+    return;
+  }
+  if (!referenceDfa.startState) {
+    alert("The reference automaton has no start state");
+    return;
+  }
+  document.getElementById("submissionFileInput").click();
+});
+
+document
+  .getElementById("submissionFileInput")
+  .addEventListener("change", async (e) => {
+    const files = Array.from(e.target.files).sort((a, b) =>
+      a.name.localeCompare(b.name),
+    );
+    e.target.value = "";
+    if (files.length === 0) return;
+
+    const minimalStates = minimalStateCount(referenceDfa);
+    gradeReports = await Promise.all(
+      files.map(async (file) => {
+        try {
+          const submission = readAutomatonFile(await file.text());
+          return {
+            file: file.name,
+            ...gradeSubmission(referenceDfa, submission, minimalStates),
+          };
+        } catch (err) {
+          return { file: file.name, error: err.message };
+        }
+      }),
+    );
+    showGrades();
+  });
+
+function showGrades() {
+  const matching = gradeReports.filter((report) => report.equivalent).length;
+  const summary = document.getElementById("gradingSummary");
+  summary.className = `result-display ${
+    matching === gradeReports.length ? "accepted" : "rejected"
+  }`;
+  summary.textContent = `${matching} of ${gradeReports.length} submissions accept the reference language`;
+
+  const table = document.getElementById("gradingTable");
+  table.innerHTML = "";
+  const withTests = gradeReports.some((report) => report.tests);
+  const header = table.insertRow();
+  [
+    "File",
+    "Language",
+    "States",
+    ...(withTests ? ["Tests"] : []),
+    "Issues",
+  ].forEach((title) => {
+    const th = document.createElement("th");
+    th.textContent = title;
+    header.appendChild(th);
+  });
+
+  gradeReports.forEach((report) => {
+    const row = table.insertRow();
+    row.insertCell().textContent = report.file;
+    if (report.error) {
+      const cell = row.insertCell();
+      cell.colSpan = withTests ? 4 : 3;
+      cell.className = "rejected";
+      cell.textContent = report.error;
+      return;
+    }
+    const verdict = row.insertCell();
+    verdict.className = report.equivalent ? "accepted" : "rejected";
+    verdict.textContent = report.equivalent
+      ? "✓ Equivalent"
+      : `✗ "${report.counterexample}" is accepted only by the ${report.acceptedBy}`;
+    const states = row.insertCell();
+    states.textContent = `${report.states} (minimal ${report.minimalStates})`;
+    if (withTests) {
+      row.insertCell().textContent = report.tests
+        ? `${report.tests.passed}/${report.tests.total}`
+        : "";
+    }
+    const issues = row.insertCell();
+    issues.className = "issues";
+    if (report.issues.length === 0) {
+      issues.textContent = "—";
+    }
+    report.issues.forEach((issue) => {
+      const line = document.createElement("div");
+      line.textContent = issue.message;
+      issues.appendChild(line);
+    });
+  });
+
+  document.getElementById("exportGradesCsvBtn").disabled = false;
+  document.getElementById("exportGradesJsonBtn").disabled = false;
+}
+
+document.getElementById("exportGradesCsvBtn").addEventListener("click", () => {
+  downloadFile(
+    "grades.csv",
+    new Blob([formatGradesCsv(gradeReports)], { type: "text/csv" }),
+  );
+});
+
+document.getElementById("exportGradesJsonBtn").addEventListener("click", () => {
+  downloadFile(
+    "grades.json",
+    new Blob([JSON.stringify(gradeReports, null, 2)], {
+      type: "application/json",
+    }),
+  );
+});
+
+// Language operations
+const BINARY_OPERATIONS = [
+  "union",
+  "intersection",
+  "difference",
+  "symmetricDifference",
+];
+
+document.getElementById("applyOperationBtn").addEventListener("click", () => {
+  const operation = document.getElementById("operationSelect").value;
+  if (BINARY_OPERATIONS.includes(operation) && !referenceDfa) {
+    alert(
+      "Load a reference automaton (or snapshot the canvas) to use as the second operand",
+    );
+    return;
+  }
+
+  let result;
+  try {
+    if (BINARY_OPERATIONS.includes(operation)) {
+      result = dfa.product(referenceDfa, operation);
+    } else if (operation === "complement") {
+      result = dfa.complement();
+    } else {
+      result = dfa.reverse(operation === "reverseDfa");
+    }
+  } catch (err) {
+    alert(err.message);
+    return;
+  }
+  replaceAutomaton(result);
+});
+
+// Regular expressions
+document.getElementById("regexToDfaBtn").addEventListener("click", () => {
+  const source = document.getElementById("regexInput").value;
+  let result;
+  try {
+    result = DFA.fromRegex(source, dfa.alphabet);
+  } catch (err) {
+    showRegexResult("error", `Error: ${err.message}`);
+    return;
+  }
+  replaceAutomaton(result);
+  showRegexResult(
+    "accepted",
+    `Built a ${result.states.length}-state DFA for ${source.trim()}`,
+  );
+});
+
+document.getElementById("dfaToRegexBtn").addEventListener("click", () => {
+  let regex;
+  try {
+    regex = dfa.toRegex();
+  } catch (err) {
+    showRegexResult("error", `Error: ${err.message}`);
+    return;
+  }
+  document.getElementById("regexInput").value = regex;
+  checkRegexAgainstCanvas();
+});
+
+document
+  .getElementById("regexCheckBtn")
+  .addEventListener("click", checkRegexAgainstCanvas);
+
+// Round-trip check: compiles the regex in the input box and compares it
+// with the automaton on the canvas.
+function checkRegexAgainstCanvas() {
+  const source = document.getElementById("regexInput").value;
+  let regexDfa;
+  try {
+    regexDfa = DFA.fromRegex(source, dfa.alphabet);
+  } catch (err) {
+    showRegexResult("error", `Error: ${err.message}`);
+    return;
+  }
+  if (!dfa.startState) {
+    showRegexResult("error", "Error: No start state defined");
+    return;
+  }
+
+  const difference = dfa.findCounterexample(regexDfa);
+  if (!difference) {
+    showRegexResult(
+      "accepted",
+      `✓ ${source.trim()} is equivalent to the automaton`,
+    );
+  } else {
+    const word = dfa.displayWord(difference.word);
+    const acceptedBy =
+      difference.acceptedBy === "this" ? "the automaton" : "the regex";
+    showRegexResult(
+      "rejected",
+      `✗ Not equivalent - "${word}" is matched only by ${acceptedBy}`,
+    );
+  }
+}
+
+function showRegexResult(kind, message) {
+  const resultDiv = document.getElementById("regexResult");
+  resultDiv.className = `result-display ${kind}`;
+  resultDiv.textContent = message;
+}
+
+// Alphabet configuration
+document.getElementById("setAlphabetBtn").addEventListener("click", () => {
+  const input = document.getElementById("alphabetInput").value;
+  const symbols = input
+    .split(",")
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0);
+
+  if (symbols.length === 0) {
+    alert("Please enter at least one symbol");
+    return;
+  }
+
+  if (symbols.includes(EPSILON)) {
+    alert(`'${EPSILON}' is reserved for ε-transitions`);
+    return;
+  }
+
+  editHistory.execute(
+    snapshotCommand(dfa, "Set alphabet", () => dfa.setAlphabet(symbols)),
+  );
+  updateAlphabetDisplay();
+  dfaCanvas.draw();
+});
+
+document.getElementById("inputModeSelect").addEventListener("change", (e) => {
+  editHistory.execute(
+    snapshotCommand(dfa, "Change input mode", () => {
+      dfa.inputMode = e.target.value;
+    }),
+  );
+  updateAlphabetDisplay();
+  dfaCanvas.draw();
+});
+
+function updateAlphabetDisplay() {
+  const symbols = Array.from(dfa.alphabet);
+  document.getElementById("alphabetInput").value = symbols.join(",");
+  document.getElementById("alphabetDisplay").textContent =
+    `Current: {${symbols.join(", ")}}`;
+  document.getElementById("inputModeSelect").value = dfa.inputMode;
+
+  // Overlapping symbols only matter when input is split by longest match.
+  const warnings = dfa.inputMode === "longest" ? analyzeAlphabet(symbols) : [];
+  const warningsDiv = document.getElementById("alphabetWarnings");
+  warningsDiv.innerHTML = "";
+  warnings.forEach((warning) => {
+    const div = document.createElement("div");
+    div.textContent = `⚠ ${warning}`;
+    warningsDiv.appendChild(div);
+  });
+  warningsDiv.style.display = warnings.length > 0 ? "block" : "none";
+}
+
+// State configuration
+document.getElementById("setStartState").addEventListener("change", (e) => {
+  const selected = dfaCanvas.selectedState;
+  if (selected) {
+    editHistory.execute(
+      setStartCommand(dfa, e.target.checked ? selected.id : null),
+    );
+    dfaCanvas.draw();
+  }
+});
+
+document.getElementById("setAcceptState").addEventListener("change", (e) => {
+  if (dfaCanvas.selectedState) {
+    editHistory.execute(
+      setAcceptCommand(dfa, dfaCanvas.selectedState.id, e.target.checked),
+    );
+    dfaCanvas.draw();
+  }
+});
+
+document.getElementById("stateNameInput").addEventListener("input", (e) => {
+  const selected = dfaCanvas.selectedState;
+  if (selected) {
+    editHistory.execute(
+      renameCommand(dfa, selected.id, e.target.value || `q${selected.id}`),
+    );
+    dfaCanvas.draw();
+  }
+});
+
+// Transition table editor. Rows are states and columns are symbols;
+// every edit goes through the undo history like a canvas edit. The
+// table is rebuilt after canvas changes, but only when something it
+// shows has changed, so dragging states doesn't disturb it.
+let transitionTableKey = null;
+let transitionTableTimer = null;
+
+function scheduleTransitionTable() {
+  clearTimeout(transitionTableTimer);
+  transitionTableTimer = setTimeout(renderTransitionTable, 100);
+}
+
+function renderTransitionTable() {
+  const symbols = Array.from(dfa.alphabet);
+  if (dfa.allowsEpsilon()) symbols.push(EPSILON);
+  const key = JSON.stringify([
+    dfa.type,
+    dfa.machine,
+    symbols,
+    Array.from(dfa.outputAlphabet),
+    Array.from(dfaCanvas.selectedStates, (state) => state.id),
+    dfa.states.map((state) => [
+      state.id,
+      state.name,
+      state.isStart,
+      state.isAccept,
+      state.output,
+      symbols.map((symbol) => [
+        dfa.getTargets(state, symbol).map((target) => target.id),
+        dfa.transitionOutput(state, symbol),
+      ]),
+      dfa.isPushdown()
+        ? dfa
+            .stackRules(state)
+            .map((rule) => [rule.symbol, rule.to.id, rule.pop, rule.push])
+        : null,
+    ]),
+  ]);
+  if (key === transitionTableKey) return;
+  transitionTableKey = key;
+
+  const table = document.getElementById("transitionTable");
+  const focusKey = table.contains(document.activeElement)
+    ? document.activeElement.dataset.focusKey
+    : null;
+  table.innerHTML = "";
+
+  const header = table.insertRow();
+  const moore = dfa.machine === "moore";
+  const mealy = dfa.machine === "mealy";
+  [
+    "State",
+    "Start",
+    "Accept",
+    ...(moore ? ["Output"] : []),
+    ...symbols,
+    "",
+  ].forEach((text) => {
+    const th = document.createElement("th");
+    th.textContent = text;
+    header.appendChild(th);
+  });
+
+  dfa.states.forEach((state) => {
+    const row = table.insertRow();
+    row.classList.toggle("selected", dfaCanvas.selectedStates.has(state));
+    row.addEventListener("click", (e) => {
+      if (e.target.closest("input, select, button")) return;
+      dfaCanvas.selectedState = state;
+      dfaCanvas.updateStateConfig();
+      dfaCanvas.draw();
+    });
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.value = state.name;
+    name.dataset.focusKey = `${state.id}:name`;
+    name.addEventListener("change", () => {
+      applyTableEdit(
+        renameCommand(dfa, state.id, name.value || `q${state.id}`),
+      );
+    });
+    row.insertCell().appendChild(name);
+
+    const start = document.createElement("input");
+    start.type = "radio";
+    start.name = "tableStartState";
+    start.checked = state.isStart;
+    start.title = "Start state";
+    start.dataset.focusKey = `${state.id}:start`;
+    start.addEventListener("change", () => {
+      applyTableEdit(setStartCommand(dfa, state.id));
+    });
+    row.insertCell().appendChild(start);
+
+    const accept = document.createElement("input");
+    accept.type = "checkbox";
+    accept.checked = state.isAccept;
+    accept.title = "Accept state";
+    accept.dataset.focusKey = `${state.id}:accept`;
+    accept.addEventListener("change", () => {
+      applyTableEdit(setAcceptCommand(dfa, state.id, accept.checked));
+    });
+    row.insertCell().appendChild(accept);
+
+    if (moore) {
+      const output = dfaCanvas.outputSelect(state.output, (value) => {
+        applyTableEdit(setStateOutputCommand(dfa, state.id, value));
+      });
+      output.dataset.focusKey = `${state.id}:output`;
+      row.insertCell().appendChild(output);
+    }
+
+    symbols.forEach((symbol) => {
+      const cell = row.insertCell();
+      if (dfa.isPushdown()) {
+        cell.className = "stack-rules";
+        cell.title = "Edit PDA rules on the diagram";
+        cell.textContent = dfa
+          .stackRules(state)
+          .filter((rule) => rule.symbol === symbol)
+          .map(
+            (rule) =>
+              `${rule.pop === null ? EPSILON : rule.pop}/${dfa.displayStack(rule.push)} → ${rule.to.name}`,
+          )
+          .join("; ");
+        return;
+      }
+      const targets = dfa.getTargets(state, symbol);
+      if (targets.length === 0 && symbol !== EPSILON) {
+        cell.classList.add("missing");
+        cell.title = `Missing transition on '${symbol}'`;
+      }
+      cell.appendChild(transitionCellSelect(state, symbol, targets));
+      if (mealy && targets.length > 0) {
+        const output = dfaCanvas.outputSelect(
+          dfa.transitionOutput(state, symbol),
+          (value) => {
+            applyTableEdit(
+              setTransitionOutputCommand(dfa, state.id, symbol, value),
+            );
+          },
+        );
+        output.dataset.focusKey = `${state.id}:${symbol}:output`;
+        cell.appendChild(output);
+      }
+    });
+
+    const remove = document.createElement("button");
+    remove.className = "row-delete";
+    remove.textContent = "✕";
+    remove.title = `Delete ${state.name}`;
+    remove.addEventListener("click", () => {
+      if (dfaCanvas.selectedStates.delete(state)) {
+        dfaCanvas.updateStateConfig();
+      }
+      applyTableEdit(deleteStateCommand(dfa, state.id));
+    });
+    row.insertCell().appendChild(remove);
+  });
+
+  if (focusKey) {
+    const focused = table.querySelector(`[data-focus-key="${focusKey}"]`);
+    if (focused) focused.focus();
+  }
+}
+
+// The dropdown for one cell. A DFA cell picks a single target (or
+// none). An NFA cell shows the current target set; picking a state adds
+// it to the set or removes it.
+function transitionCellSelect(state, symbol, targets) {
+  const select = document.createElement("select");
+  select.dataset.focusKey = `${state.id}:${symbol}`;
+  const addOption = (value, text) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  };
+
+  if (dfa.isDeterministic()) {
+    addOption("", "—");
+    dfa.states.forEach((target) => addOption(target.id, target.name));
+    select.value = targets.length > 0 ? targets[0].id : "";
+  } else {
+    addOption("", targets.length > 0 ? dfa.formatStateSet(targets) : "—");
+    dfa.states.forEach((target) => {
+      addOption(
+        target.id,
+        `${targets.includes(target) ? "✓" : " "} ${target.name}`,
+      );
+    });
+    select.value = "";
+  }
+
+  select.addEventListener("change", () => {
+    const ids = targets.map((target) => target.id);
+    let targetIds;
+    if (dfa.isDeterministic()) {
+      targetIds = select.value === "" ? [] : [Number(select.value)];
+    } else if (select.value === "") {
+      return;
+    } else {
+      const id = Number(select.value);
+      targetIds = ids.includes(id)
+        ? ids.filter((other) => other !== id)
+        : ids.concat(id);
+    }
+    applyTableEdit(
+      setTargetsCommand(dfa, "Edit transition", state.id, symbol, targetIds),
+    );
+  });
+  return select;
+}
+
+function applyTableEdit(command) {
+  // The control that made the edit already shows the new value; force a
+  // rebuild anyway in case the edit is undone before the table refreshes.
+  transitionTableKey = null;
+  editHistory.execute(command);
+  dfaCanvas.draw();
+}
+
+document.getElementById("addTableRowBtn").addEventListener("click", () => {
+  const { x, y } = dfaCanvas.findFreePosition();
+  applyTableEdit(addStateCommand(dfa, x, y));
+});
+
+// String testing
+document.getElementById("testStringBtn").addEventListener("click", () => {
+  const input = document.getElementById("testStringInput").value;
+  const result = dfa.simulate(input);
+  loadPlayback(result);
+  const resultDiv = document.getElementById("testResult");
+  const traceDiv = document.getElementById("executionTrace");
+
+  if (result.error) {
+    resultDiv.className = "result-display error";
+    resultDiv.textContent = `Error: ${result.error}`;
+  } else if (result.accepted) {
+    resultDiv.className = "result-display accepted";
+    resultDiv.textContent = `✓ ACCEPTED - String "${input || "ε"}" is accepted by the DFA`;
+  } else {
+    resultDiv.className = "result-display rejected";
+    resultDiv.textContent = `✗ REJECTED - String "${input || "ε"}" is rejected by the DFA`;
+  }
+  if (result.output) {
+    const outputLine = document.createElement("div");
+    outputLine.className = "output-line";
+    outputLine.textContent = `Output: ${result.outputString}`;
+    resultDiv.appendChild(outputLine);
+  }
+  if (result.explored) {
+    const searchLine = document.createElement("div");
+    searchLine.className = "output-line";
+    searchLine.textContent = `Explored ${result.explored} configuration${result.explored === 1 ? "" : "s"}`;
+    resultDiv.appendChild(searchLine);
+  }
+
+  // Display trace
+  if (result.trace && result.trace.length > 0) {
+    traceDiv.className = "trace-display show";
+    traceDiv.innerHTML = "";
+    const heading = document.createElement("strong");
+    heading.textContent = "Execution Trace:";
+    traceDiv.appendChild(heading);
+    // Built from text nodes only: a shared link can put any text in the
+    // state names and symbols.
+    const addLine = (text, className = "trace-step") => {
+      const div = document.createElement("div");
+      div.className = className;
+      div.textContent = text;
+      traceDiv.appendChild(div);
+      return div;
+    };
+    if (result.tokens.some((token) => token.length > 1)) {
+      addLine(`Tokens: ${result.tokens.join(" · ")}`);
+    }
+    if (result.explored) {
+      addLine(
+        result.accepted
+          ? "Accepting branch:"
+          : "No branch accepts. The one that read the most input:",
+      );
+    }
+    result.trace.forEach((step, index) => {
+      let stepText;
+      if (step.symbol === "START") {
+        stepText = `Start in state ${step.state}`;
+      } else if (step.rule) {
+        stepText = `Take ${step.rule} → ${step.state}`;
+      } else if (step.error) {
+        stepText = `Read '${step.symbol}' → no transition from ${step.state}`;
+      } else {
+        stepText = `Read '${step.symbol}' → ${step.state}`;
+      }
+      if (step.output) {
+        stepText += `, write '${step.output}'`;
+      }
+      let className = "trace-step";
+      if (step.stack && result.accepted) className += " accepting-branch";
+      const div = addLine(stepText, className);
+      div.dataset.step = index;
+      if (step.stack) {
+        const stack = document.createElement("span");
+        stack.className = "trace-stack";
+        stack.textContent = `stack: ${dfa.displayStack(step.stack)}`;
+        div.appendChild(stack);
+      }
+    });
+    showPlaybackStep();
+  } else {
+    traceDiv.className = "trace-display";
+  }
+});
+
+// Step-through playback of the last tested string. The trace from
+// simulate() is replayed one step at a time, highlighting the active
+// state(s) and the transition just taken on the canvas.
+const playback = { result: null, step: 0, timer: null };
+
+const HIGHLIGHT_COLORS = {
+  active: { stroke: "#f08c00", fill: "#fff4e6" },
+  accepted: { stroke: "#2f9e44", fill: "#d3f9d8" },
+  failed: { stroke: "#e03131", fill: "#ffe3e3" },
+};
+
+function loadPlayback(result) {
+  stopPlayback();
+  playback.result = result.trace.length > 0 ? result : null;
+  playback.step = 0;
+  document.getElementById("playbackControls").style.display = playback.result
+    ? "block"
+    : "none";
+  if (!playback.result) {
+    clearPlaybackHighlight();
+  }
+}
+
+function showPlaybackStep() {
+  const { result, step } = playback;
+  if (!result) return;
+  const entry = result.trace[step];
+  const isLast = step === result.trace.length - 1;
+
+  const statesOf = (traceEntry) => {
+    const ids = traceEntry.stateIds || [traceEntry.stateId];
+    return dfa.states.filter((state) => ids.includes(state.id));
+  };
+  const active = statesOf(entry);
+
+  // Edges taken on this step: from each previously active state along
+  // the symbol just read.
+  const edges = new Set();
+  if (step > 0 && entry.rule) {
+    edges.add(`${result.trace[step - 1].stateId}-${entry.stateId}`);
+  } else if (step > 0 && !entry.error) {
+    statesOf(result.trace[step - 1]).forEach((from) => {
+      dfa.getTargets(from, entry.symbol).forEach((to) => {
+        edges.add(`${from.id}-${to.id}`);
+      });
+    });
+  }
+
+  let status;
+  let colors = HIGHLIGHT_COLORS.active;
+  if (entry.error) {
+    status = `✗ No transition from ${entry.state} on '${entry.symbol}'`;
+    colors = HIGHLIGHT_COLORS.failed;
+  } else if (isLast && result.error) {
+    status = `✗ ${result.error}`;
+    colors = HIGHLIGHT_COLORS.failed;
+  } else if (isLast && entry.stack) {
+    status = result.accepted
+      ? `✓ Accepted in ${entry.state}`
+      : `✗ No accepting move from ${entry.state} after reading ${entry.consumed} of ${result.tokens.length} symbols`;
+    colors = result.accepted
+      ? HIGHLIGHT_COLORS.accepted
+      : HIGHLIGHT_COLORS.failed;
+  } else if (isLast) {
+    status = result.accepted
+      ? `✓ Input consumed in accepting state ${entry.state}`
+      : `✗ Input consumed in non-accepting state ${entry.state}`;
+    colors = result.accepted
+      ? HIGHLIGHT_COLORS.accepted
+      : HIGHLIGHT_COLORS.failed;
+  } else if (step === 0) {
+    status = `Start in ${entry.state}`;
+  } else if (entry.rule) {
+    status = `Take ${entry.rule} → ${entry.state}`;
+  } else {
+    status = `Read '${entry.symbol}' → ${entry.state}`;
+  }
+
+  if (result.output) {
+    const written = result.trace
+      .slice(0, step + 1)
+      .filter((traceEntry) => traceEntry.output)
+      .map((traceEntry) => traceEntry.output);
+    status += ` | output so far: ${dfa.displayOutput(written)}`;
+  }
+  if (entry.stack) {
+    status += ` | stack: ${dfa.displayStack(entry.stack)}`;
+  }
+
+  dfaCanvas.highlight = { states: new Set(active), edges, ...colors };
+  dfaCanvas.draw();
+
+  document.getElementById("playbackStatus").textContent =
+    `Step ${step}/${result.trace.length - 1}: ${status}`;
+  document.getElementById("playbackBackBtn").disabled = step === 0;
+  document.getElementById("playbackStepBtn").disabled = isLast;
+  document.getElementById("playbackPlayBtn").textContent = playback.timer
+    ? "⏸ Pause"
+    : "▶ Play";
+
+  // Input with a cursor after the symbols read so far. A missing
+  // transition is marked on the symbol that could not be read, and
+  // input that could not be split into symbols is shown struck out.
+  let readCount = entry.error ? step - 1 : step;
+  if (entry.consumed !== undefined) readCount = entry.consumed;
+  const inputDiv = document.getElementById("playbackInput");
+  inputDiv.innerHTML = "";
+  result.tokens.forEach((token, index) => {
+    if (index === readCount) {
+      const cursor = document.createElement("span");
+      cursor.className = "input-cursor";
+      inputDiv.appendChild(cursor);
+    }
+    const span = document.createElement("span");
+    span.className = "input-token";
+    if (index < readCount) span.classList.add("read");
+    if (entry.error && index === readCount) span.classList.add("failed");
+    span.textContent = token;
+    inputDiv.appendChild(span);
+  });
+  if (readCount >= result.tokens.length) {
+    const cursor = document.createElement("span");
+    cursor.className = "input-cursor";
+    inputDiv.appendChild(cursor);
+  }
+  if (result.unread) {
+    const span = document.createElement("span");
+    span.className = "input-token unread";
+    span.textContent = result.unread;
+    inputDiv.appendChild(span);
+  }
+
+  document.querySelectorAll("#executionTrace .trace-step").forEach((div) => {
+    div.classList.toggle("current", div.dataset.step === String(step));
+  });
+}
+
+function stopPlayback() {
+  clearInterval(playback.timer);
+  playback.timer = null;
+}
+
+function clearPlaybackHighlight() {
+  if (dfaCanvas.highlight) {
+    dfaCanvas.highlight = null;
+    dfaCanvas.draw();
+  }
+}
+
+function playbackInterval() {
+  const stepsPerSecond = parseFloat(
+    document.getElementById("playbackSpeedInput").value,
+  );
+  return 1000 / stepsPerSecond;
+}
+
+function startPlayback() {
+  stopPlayback();
+  if (playback.step >= playback.result.trace.length - 1) {
+    playback.step = 0;
+  }
+  playback.timer = setInterval(() => {
+    playback.step++;
+    if (playback.step >= playback.result.trace.length - 1) {
+      stopPlayback();
+    }
+    showPlaybackStep();
+  }, playbackInterval());
+  showPlaybackStep();
+}
+
+document.getElementById("playbackResetBtn").addEventListener("click", () => {
+  if (!playback.result) return;
+  stopPlayback();
+  playback.step = 0;
+  showPlaybackStep();
+});
+
+document.getElementById("playbackBackBtn").addEventListener("click", () => {
+  if (!playback.result || playback.step === 0) return;
+  stopPlayback();
+  playback.step--;
+  showPlaybackStep();
+});
+
+document.getElementById("playbackStepBtn").addEventListener("click", () => {
+  if (!playback.result) return;
+  stopPlayback();
+  if (playback.step < playback.result.trace.length - 1) {
+    playback.step++;
+  }
+  showPlaybackStep();
+});
+
+document.getElementById("playbackPlayBtn").addEventListener("click", () => {
+  if (!playback.result) return;
+  if (playback.timer) {
+    stopPlayback();
+    showPlaybackStep();
+  } else {
+    startPlayback();
+  }
+});
+
+document.getElementById("playbackSpeedInput").addEventListener("input", () => {
+  if (playback.timer) startPlayback();
+});
+
+// Test suite
+const testSuiteInput = document.getElementById("testSuiteInput");
+
+// Parses the text box and saves the cases with the automaton if they
+// changed. Returns false and shows the error if the text doesn't parse.
+function commitTestSuite(label = "Edit test suite") {
+  let tests;
+  try {
+    tests = parseTestSuite(testSuiteInput.value);
+  } catch (err) {
+    showTestSuiteSummary("error", err.message);
+    return false;
+  }
+  if (JSON.stringify(tests) !== JSON.stringify(dfa.tests)) {
+    editHistory.execute(
+      snapshotCommand(dfa, label, () => {
+        dfa.tests = tests;
+      }),
+    );
+  }
+  return true;
+}
+
+// Shows the saved cases in the text box, unless it already says the
+// same thing in the user's own formatting.
+function updateTestSuiteInput() {
+  let current = null;
+  try {
+    current = parseTestSuite(testSuiteInput.value);
+  } catch (err) {
+    // Replace text that doesn't parse.
+  }
+  if (JSON.stringify(current) !== JSON.stringify(dfa.tests)) {
+    testSuiteInput.value = formatTestSuite(dfa.tests);
+  }
+}
+
+function showTestSuiteSummary(kind, message) {
+  const summary = document.getElementById("testSuiteSummary");
+  summary.className = kind ? `result-display ${kind}` : "result-display";
+  summary.textContent = message || "";
+}
+
+testSuiteInput.addEventListener("change", () => {
+  if (commitTestSuite()) showTestSuiteSummary(null);
+});
+
+document.getElementById("importTestSuiteBtn").addEventListener("click", () => {
+  document.getElementById("testSuiteFileInput").click();
+});
+
+document
+  .getElementById("testSuiteFileInput")
+  .addEventListener("change", async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    let tests;
+    try {
+      tests = parseTestSuite(await file.text());
+    } catch (err) {
+      showTestSuiteSummary("error", `${file.name}: ${err.message}`);
+      return;
+    }
+    testSuiteInput.value = formatTestSuite(tests);
+    commitTestSuite(`Import ${file.name}`);
+    showTestSuiteSummary(null);
+  });
+
+document.getElementById("runTestSuiteBtn").addEventListener("click", () => {
+  if (!commitTestSuite()) return;
+  const resultsDiv = document.getElementById("testSuiteResults");
+  resultsDiv.innerHTML = "";
+  if (dfa.tests.length === 0) {
+    resultsDiv.style.display = "none";
+    showTestSuiteSummary("error", "Add some test cases first");
+    return;
+  }
+
+  const results = dfa.runTests();
+  const failed = results.filter((result) => !result.passed).length;
+  showTestSuiteSummary(
+    failed === 0 ? "accepted" : "rejected",
+    failed === 0
+      ? `✓ All ${results.length} cases passed`
+      : `✗ ${failed} of ${results.length} cases failed`,
+  );
+
+  resultsDiv.style.display = "block";
+  results.forEach((result) => {
+    const div = document.createElement("div");
+    div.className = `string-result ${result.passed ? "accepted" : "rejected"}`;
+
+    const value = document.createElement("span");
+    value.className = "string-value";
+    value.textContent = result.input === "" ? EPSILON : result.input;
+    const detail = document.createElement("span");
+    detail.className = "string-detail";
+    detail.textContent = result.finalState
+      ? `ends in ${result.finalState}`
+      : result.error;
+    value.appendChild(detail);
+
+    const status = document.createElement("span");
+    status.className = "string-status";
+    const expected = result.expect ? "accept" : "reject";
+    status.textContent = result.passed
+      ? `✓ ${expected}`
+      : `✗ expected ${expected}`;
+
+    div.append(value, status);
+    if (!result.passed) {
+      div.classList.add("clickable");
+      div.title = "Show the trace";
+      div.addEventListener("click", () => {
+        document.getElementById("testStringInput").value = result.input;
+        document.getElementById("testStringBtn").click();
+      });
+    }
+    resultsDiv.appendChild(div);
+  });
+});
+
+// Language enumeration. Strings are pulled from the enumerator only as
+// pages are shown, and kept so Prev doesn't have to start over.
+const enumeration = { iterator: null, strings: [], done: false, page: 0 };
+let languageSummaryKey = null;
+let languageSummaryTimer = null;
+
+function scheduleLanguageSummary() {
+  clearTimeout(languageSummaryTimer);
+  languageSummaryTimer = setTimeout(updateLanguageSummary, 100);
+}
+
+// Describes the accepted language, and drops a listing that no longer
+// matches it. Redraws that don't change the language are ignored.
+function updateLanguageSummary() {
+  if (dfa.isPushdown()) {
+    languageSummaryKey = null;
+    return;
+  }
+  const key = JSON.stringify(dfa.languageMachine());
+  if (key === languageSummaryKey) return;
+  languageSummaryKey = key;
+  resetEnumeration();
+
+  const size = dfa.languageSize();
+  const summary = document.getElementById("languageSummary");
+  if (size.kind === "empty") {
+    summary.textContent = "Language is empty: no string is accepted";
+  } else if (size.kind === "finite") {
+    summary.textContent = `Language is finite: ${size.count} string${size.count === 1n ? "" : "s"}, the longest of length ${size.longest}`;
+  } else {
+    summary.textContent = "Language is infinite";
+  }
+}
+
+function resetEnumeration() {
+  enumeration.iterator = null;
+  enumeration.strings = [];
+  enumeration.done = false;
+  enumeration.page = 0;
+  document.getElementById("generatedStrings").style.display = "none";
+  document.getElementById("enumeratePager").style.display = "none";
+}
+
+function pageSize() {
+  return Math.max(
+    1,
+    Math.min(
+      parseInt(document.getElementById("pageSizeInput").value) || 20,
+      500,
+    ),
+  );
+}
+
+function showEnumerationPage() {
+  const size = pageSize();
+  const from = enumeration.page * size;
+  // Fetch one extra string to know whether there is a next page.
+  while (enumeration.strings.length <= from + size && !enumeration.done) {
+    const { value, done } = enumeration.iterator.next();
+    if (done) {
+      enumeration.done = true;
+    } else {
+      enumeration.strings.push(value);
+    }
+  }
+
+  const accepted =
+    document.getElementById("enumerateFilterSelect").value === "accepted";
+  const page = enumeration.strings.slice(from, from + size);
+  const displayDiv = document.getElementById("generatedStrings");
+  displayDiv.style.display = "block";
+  displayDiv.innerHTML = "";
+  if (page.length === 0) {
+    displayDiv.innerHTML = `<p style="color: #868e96;">No ${accepted ? "accepted" : "rejected"} strings</p>`;
+  }
+  page.forEach(({ string }) => {
+    const div = document.createElement("div");
+    div.className = `string-result ${accepted ? "accepted" : "rejected"}`;
+    const value = document.createElement("span");
+    value.className = "string-value";
+    value.textContent = string;
+    const status = document.createElement("span");
+    status.className = "string-status";
+    status.textContent = accepted ? "✓ Accept" : "✗ Reject";
+    div.append(value, status);
+    displayDiv.appendChild(div);
+  });
+
+  const hasNext = enumeration.strings.length > from + size;
+  document.getElementById("enumeratePager").style.display =
+    page.length > 0 && (hasNext || enumeration.page > 0) ? "flex" : "none";
+  document.getElementById("enumeratePrevBtn").disabled = enumeration.page === 0;
+  document.getElementById("enumerateNextBtn").disabled = !hasNext;
+  document.getElementById("enumeratePageLabel").textContent =
+    page.length > 0
+      ? `${from + 1}–${from + page.length}${hasNext ? "" : " (end)"}`
+      : "";
+}
+
+document.getElementById("enumerateBtn").addEventListener("click", () => {
+  resetEnumeration();
+  enumeration.iterator = dfa.enumerateStrings(
+    document.getElementById("enumerateFilterSelect").value === "accepted",
+  );
+  showEnumerationPage();
+});
+
+document.getElementById("enumeratePrevBtn").addEventListener("click", () => {
+  enumeration.page--;
+  showEnumerationPage();
+});
+
+document.getElementById("enumerateNextBtn").addEventListener("click", () => {
+  enumeration.page++;
+  showEnumerationPage();
+});
+
+document
+  .getElementById("enumerateFilterSelect")
+  .addEventListener("change", resetEnumeration);
+
+document.getElementById("pageSizeInput").addEventListener("change", () => {
+  if (!enumeration.iterator) return;
+  enumeration.page = 0;
+  showEnumerationPage();
+});
+
+document.getElementById("countBtn").addEventListener("click", () => {
+  const length = parseInt(document.getElementById("countLengthInput").value);
+  const resultDiv = document.getElementById("countResult");
+  resultDiv.style.display = "block";
+  if (!(length >= 0 && length <= 10000)) {
+    resultDiv.textContent = "Enter a length from 0 to 10000";
+    return;
+  }
+  const counts = dfa.countByLength(length);
+  const total = BigInt(dfa.alphabet.size) ** BigInt(length);
+  resultDiv.textContent = `Length ${length}: ${counts[length]} accepted of ${total} strings. Up to length ${length}: ${counts.reduce((sum, n) => sum + n, 0n)} accepted.`;
+});
+
+// Allow Enter key for testing
+document.getElementById("testStringInput").addEventListener("keypress", (e) => {
+  if (e.key === "Enter") {
+    document.getElementById("testStringBtn").click();
+  }
+});
+
+// Screen reader description of the automaton: a summary the canvas
+// refers to with aria-describedby, and one list item per state.
+let descriptionKey = null;
+let descriptionTimer = null;
+
+function scheduleAutomatonDescription() {
+  clearTimeout(descriptionTimer);
+  descriptionTimer = setTimeout(updateAutomatonDescription, 300);
+}
+
+function updateAutomatonDescription() {
+  const descriptions = dfa.states.map((state) =>
+    dfaCanvas.describeState(state),
+  );
+  const accepting = dfa.states.filter((state) => state.isAccept);
+  const typeName = dfa.type === "enfa" ? "ε-NFA" : dfa.type.toUpperCase();
+  const summary = [
+    `${typeName} with ${dfa.states.length} state${
+      dfa.states.length === 1 ? "" : "s"
+    } over the alphabet {${Array.from(dfa.alphabet).join(", ")}}.`,
+    dfa.startState ? `Start state ${dfa.startState.name}.` : "No start state.",
+    accepting.length > 0
+      ? `Accepting: ${accepting.map((state) => state.name).join(", ")}.`
+      : "No accepting states.",
+  ].join(" ");
+  const key = JSON.stringify([summary, descriptions]);
+  if (key === descriptionKey) return;
+  descriptionKey = key;
+
+  document.getElementById("automatonSummary").textContent = summary;
+  const list = document.getElementById("automatonStateList");
+  list.innerHTML = "";
+  descriptions.forEach((description) => {
+    const item = document.createElement("li");
+    item.textContent = description;
+    list.appendChild(item);
+  });
+}
+
+updateTypeControls();
+restoreAutosave();
+openSharedLink();
+dfaCanvas.onRedraw = () => {
+  scheduleAutosave();
+  scheduleValidation();
+  scheduleTransitionTable();
+  scheduleLanguageSummary();
+  scheduleAutomatonDescription();
+};
+updateValidation();
+renderTransitionTable();
+updateLanguageSummary();
+updateAutomatonDescription();
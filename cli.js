@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+// DFA Builder & Tester - Command line
+//
+// Runs strings or test suites against a saved automaton:
+//
+//   vibe-dfa <automaton> [string ...]    test strings (or stdin lines)
+//   vibe-dfa <automaton> --suite <file>  run a test suite file
+//   vibe-dfa <automaton> --tests         run the suite saved in the file
+//
+// The automaton can be a JSON file exported from the editor, or a
+// transition table, 5-tuple, DOT or JFLAP file. The exit status is 0 when
+// every string is accepted or every test passes, 1 when one is not, and
+// 2 for usage errors and files that cannot be read. Mealy and Moore
+// machines also print the output written for each string.
+
+const fs = require("fs");
+const { EPSILON, parseTestSuite, readAutomatonFile } = require("./dfa");
+
+const USAGE = `Usage: vibe-dfa <automaton> [string ...]
+       vibe-dfa <automaton> --suite <file>
+       vibe-dfa <automaton> --tests
+
+Options:
+  --suite <file>  run the test cases in <file> (one "input → accept" per line)
+  --tests         run the test suite saved with the automaton
+  --trace         print the states visited for each string
+  -h, --help      show this help
+
+With no strings and no suite, strings are read from standard input, one
+per line. Use "" or ${EPSILON} for the empty string.`;
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+
+class UsageError extends Error {}
+
+function parseArgs(args) {
+  const options = { file: null, strings: [], suite: null, tests: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "-h" || arg === "--help") {
+      options.help = true;
+    } else if (arg === "--trace") {
+      options.trace = true;
+    } else if (arg === "--tests") {
+      options.tests = true;
+    } else if (arg === "--suite") {
+      if (i + 1 >= args.length) throw new UsageError("--suite needs a file");
+      options.suite = args[++i];
+    } else if (arg === "--") {
+      options.strings.push(...args.slice(i + 1));
+      break;
+    } else if (arg.startsWith("-") && arg.length > 1) {
+      throw new UsageError(`Unknown option ${arg}`);
+    } else if (options.file === null) {
+      options.file = arg;
+    } else {
+      options.strings.push(arg);
+    }
+  }
+  if (options.help) return options;
+  if (options.file === null) throw new UsageError("No automaton file given");
+  if ((options.suite || options.tests) && options.strings.length > 0) {
+    throw new UsageError("Give either strings or a test suite, not both");
+  }
+  if (options.suite && options.tests) {
+    throw new UsageError("Give either --suite or --tests, not both");
+  }
+  return options;
+}
+
+function readStdinLines(readStdin) {
+  const lines = readStdin().split(/\r?\n/);
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+function displayInput(input) {
+  return input === "" ? EPSILON : input;
+}
+
+function formatTrace(dfa, trace) {
+  return trace.map((step) => {
+    let line = `    ${step.symbol} → ${step.state}`;
+    if (step.symbol === "START") line = `    ${step.state}`;
+    else if (step.rule) line = `    ${step.rule} → ${step.state}`;
+    if (step.output) line += ` / ${step.output}`;
+    if (step.stack) line += `  [${dfa.displayStack(step.stack)}]`;
+    return step.error ? `${line} (${step.error})` : line;
+  });
+}
+
+function runStrings(dfa, strings, options, out) {
+  let allAccepted = true;
+  strings.forEach((input) => {
+    const result = dfa.simulate(input === EPSILON ? "" : input);
+    allAccepted = allAccepted && result.accepted;
+    const verdict = result.accepted ? "accept" : "reject";
+    const output = dfa.isTransducer() ? `  → ${result.outputString}` : "";
+    const detail = result.error ? ` (${result.error})` : "";
+    out(`${verdict}  ${displayInput(input)}${output}${detail}`);
+    if (options.trace) {
+      formatTrace(dfa, result.trace).forEach((line) => out(line));
+    }
+  });
+  return allAccepted ? EXIT_OK : EXIT_FAILED;
+}
+
+function runSuite(dfa, tests, options, out) {
+  const results = dfa.runTests(tests);
+  results.forEach((result, index) => {
+    const expected = result.expect ? "accept" : "reject";
+    const actual = result.accepted ? "accept" : "reject";
+    const line = result.passed
+      ? `PASS  ${displayInput(result.input)} → ${expected}`
+      : `FAIL  ${displayInput(result.input)} → expected ${expected}, got ${actual}`;
+    out(result.error && !result.passed ? `${line} (${result.error})` : line);
+    if (options.trace) {
+      formatTrace(dfa, dfa.simulate(tests[index].input).trace).forEach((l) =>
+        out(l),
+      );
+    }
+  });
+  const passed = results.filter((result) => result.passed).length;
+  out(`${passed} of ${results.length} passed`);
+  return passed === results.length ? EXIT_OK : EXIT_FAILED;
+}
+
+// Runs the command line `args` and returns the exit status. `io` gives
+// the output streams and file access, so tests can run it in-process.
+function main(args, io) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    io.err(`${err.message}\n\n${USAGE}`);
+    return EXIT_USAGE;
+  }
+  if (options.help) {
+    io.out(USAGE);
+    return EXIT_OK;
+  }
+
+  let dfa;
+  let tests = null;
+  try {
+    dfa = readAutomatonFile(io.readFile(options.file));
+    if (options.suite) {
+      tests = parseTestSuite(io.readFile(options.suite));
+    } else if (options.tests) {
+      tests = dfa.tests;
+    }
+  } catch (err) {
+    io.err(`vibe-dfa: ${err.message}`);
+    return EXIT_USAGE;
+  }
+
+  if (tests) {
+    if (tests.length === 0) {
+      io.err("vibe-dfa: the test suite is empty");
+      return EXIT_USAGE;
+    }
+    return runSuite(dfa, tests, options, io.out);
+  }
+  const strings =
+    options.strings.length > 0 ? options.strings : readStdinLines(io.readStdin);
+  return runStrings(dfa, strings, options, io.out);
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2), {
+    out: (line) => console.log(line),
+    err: (line) => console.error(line),
+    readFile: (file) => fs.readFileSync(file, "utf8"),
+    readStdin: () => fs.readFileSync(0, "utf8"),
+  });
+}
+
+module.exports = { main, EXIT_OK, EXIT_FAILED, EXIT_USAGE };
@@ -0,0 +1,4445 @@
+// DFA Builder & Tester - Automaton engine
+//
+// The automaton model and the algorithms on it, with no DOM code. The
+// page loads this as a plain script before app.js, which uses the
+// declarations below as globals; under Node it is a CommonJS module
+// (see the exports at the end), used by cli.js and the tests.
+
+// Saved documents are tagged so we can reject unrelated JSON files and
+// migrate older layouts if the format ever changes.
+const DFA_FORMAT = "vibe-dfa";
+const DFA_FORMAT_VERSION = 2;
+// Tag for copied states on the clipboard.
+const DFA_CLIPBOARD_FORMAT = "vibe-dfa-states";
+
+// Label used for ε-transitions. It is never part of the alphabet.
+const EPSILON = "ε";
+
+// Automaton types. A DFA stores a single target state per symbol; the
+// nondeterministic types store an array of targets per symbol, and an
+// ε-NFA may also have transitions on EPSILON. A pushdown automaton
+// ("pda") is stored like an ε-NFA, plus the stack operations of each
+// transition (see stackRules()).
+const AUTOMATON_TYPES = ["dfa", "nfa", "enfa", "pda"];
+
+// How input strings are split into alphabet symbols: "longest" reads the
+// longest matching symbol at each position, "separated" expects symbols
+// separated by spaces or commas (needed when symbols overlap).
+const INPUT_MODES = ["longest", "separated"];
+
+// Machine kinds. An acceptor only accepts or rejects. A Moore machine
+// also writes the output symbol of every state it enters (starting with
+// the start state), a Mealy machine the output symbol of every
+// transition it takes. Both are deterministic, so their type is "dfa".
+const MACHINE_KINDS = ["acceptor", "moore", "mealy"];
+
+// A pushdown automaton accepts when it has read the whole input and is
+// in an accepting state ("final") or has an empty stack ("empty").
+const PDA_ACCEPTANCE = ["final", "empty"];
+// Default for how many configurations a pushdown run explores before
+// giving up: ε-moves that push can keep the search going forever.
+const PDA_SEARCH_LIMIT = 10000;
+
+class DFA {
+  constructor() {
+    this.states = [];
+    this.alphabet = new Set(["0", "1"]);
+    this.startState = null;
+    this.currentState = null;
+    this.stateIdCounter = 0;
+    this.type = "dfa";
+    this.machine = "acceptor";
+    // Output symbols of Moore and Mealy machines.
+    this.outputAlphabet = new Set();
+    // Stack of a pushdown automaton: its symbols, the symbol on it at
+    // the start (null for an empty stack) and the acceptance mode.
+    this.stackAlphabet = new Set(["Z"]);
+    this.initialStack = "Z";
+    this.acceptBy = "final";
+    this.searchLimit = PDA_SEARCH_LIMIT;
+    this.inputMode = "longest";
+    // Test cases saved with the automaton: [{input, expect}].
+    this.tests = [];
+  }
+
+  isDeterministic() {
+    return this.type === "dfa";
+  }
+
+  isTransducer() {
+    return this.machine !== "acceptor";
+  }
+
+  isPushdown() {
+    return this.type === "pda";
+  }
+
+  allowsEpsilon() {
+    return this.type === "enfa" || this.type === "pda";
+  }
+
+  // Pushdown automata can recognize languages no finite automaton can,
+  // so the constructions on the finite control alone refuse them.
+  requireFinite() {
+    if (this.isPushdown()) {
+      throw new Error("Not available for pushdown automata");
+    }
+  }
+
+  // Target states of `state` on `symbol`, as an array for every type.
+  getTargets(state, symbol) {
+    const target = state.transitions[symbol];
+    if (!target) return [];
+    return Array.isArray(target) ? target : [target];
+  }
+
+  forEachTransition(callback) {
+    this.states.forEach((state) => {
+      Object.keys(state.transitions).forEach((symbol) => {
+        this.getTargets(state, symbol).forEach((target) => {
+          callback(state, symbol, target);
+        });
+      });
+    });
+  }
+
+  hasTransitionBetween(fromState, toState) {
+    return Object.keys(fromState.transitions).some((symbol) =>
+      this.getTargets(fromState, symbol).includes(toState),
+    );
+  }
+
+  // Switches between DFA, NFA, ε-NFA and PDA. Widening always succeeds
+  // (the transitions of a finite automaton become PDA transitions that
+  // leave the stack alone); narrowing throws if the machine uses
+  // features the target type lacks.
+  setType(type) {
+    if (!AUTOMATON_TYPES.includes(type)) {
+      throw new Error(`Unknown automaton type '${type}'`);
+    }
+    if (type === this.type) return;
+    if (this.isTransducer()) {
+      throw new Error(
+        "Mealy and Moore machines are deterministic. Switch to an acceptor first.",
+      );
+    }
+
+    if (this.isPushdown()) {
+      const usesStack = this.states.find((state) =>
+        this.stackRules(state).some(
+          (rule) => rule.pop !== null || rule.push.length > 0,
+        ),
+      );
+      if (usesStack) {
+        throw new Error(
+          `${usesStack.name} has transitions that use the stack. Remove them first.`,
+        );
+      }
+    }
+
+    const hasEpsilon = this.states.some((s) => s.transitions[EPSILON]);
+    if (type !== "enfa" && type !== "pda" && hasEpsilon) {
+      throw new Error(
+        "This automaton has ε-transitions. Remove them or use Convert to DFA.",
+      );
+    }
+
+    if (type === "dfa") {
+      const branching = this.states.find((s) =>
+        Object.keys(s.transitions).some(
+          (symbol) => s.transitions[symbol].length > 1,
+        ),
+      );
+      if (branching) {
+        throw new Error(
+          `State ${branching.name} has several targets for one symbol. Use Convert to DFA instead.`,
+        );
+      }
+      this.states.forEach((state) => {
+        Object.keys(state.transitions).forEach((symbol) => {
+          state.transitions[symbol] = state.transitions[symbol][0];
+        });
+      });
+    } else if (this.type === "dfa") {
+      this.states.forEach((state) => {
+        Object.keys(state.transitions).forEach((symbol) => {
+          state.transitions[symbol] = [state.transitions[symbol]];
+        });
+      });
+    }
+    this.states.forEach((state) => {
+      state.stackOps = {};
+      if (type !== "pda") return;
+      Object.keys(state.transitions).forEach((symbol) => {
+        state.stackOps[symbol] = state.transitions[symbol].map((target) => ({
+          to: target.id,
+          pop: null,
+          push: [],
+        }));
+      });
+    });
+    this.type = type;
+  }
+
+  addState(x, y, name = null) {
+    const id = this.stateIdCounter++;
+    const state = {
+      id: id,
+      name: name || `q${id}`,
+      x: x,
+      y: y,
+      radius: 30,
+      isStart: false,
+      isAccept: false,
+      transitions: {},
+      // Moore output of the state, and Mealy outputs keyed by symbol.
+      output: null,
+      outputs: {},
+      // Stack operations of a PDA, keyed by symbol (see stackRules()).
+      stackOps: {},
+    };
+    this.states.push(state);
+    return state;
+  }
+
+  getStateById(id) {
+    return this.states.find((state) => state.id === id) || null;
+  }
+
+  // Everything needed to put a removed state back exactly as it was: its
+  // data, its place in the list and the transitions touching it.
+  captureState(state) {
+    const outgoing = [];
+    const incoming = [];
+    this.forEachTransition((from, symbol, to) => {
+      if (from === state) {
+        outgoing.push({ symbol, toId: to.id });
+      } else if (to === state) {
+        incoming.push({ fromId: from.id, symbol });
+      }
+    });
+    return {
+      index: this.states.indexOf(state),
+      data: {
+        id: state.id,
+        name: state.name,
+        x: state.x,
+        y: state.y,
+        isStart: state.isStart,
+        isAccept: state.isAccept,
+        output: state.output,
+        outputs: { ...state.outputs },
+        stackOps: copyStackOps(state.stackOps),
+      },
+      outgoing,
+      incoming,
+    };
+  }
+
+  restoreState(capture) {
+    const state = {
+      ...capture.data,
+      outputs: { ...capture.data.outputs },
+      stackOps: copyStackOps(capture.data.stackOps),
+      radius: 30,
+      transitions: {},
+    };
+    this.states.splice(capture.index, 0, state);
+    this.stateIdCounter = Math.max(this.stateIdCounter, state.id + 1);
+    if (state.isStart) {
+      this.setStartState(state);
+    }
+    capture.outgoing.forEach(({ symbol, toId }) => {
+      this.addTransition(state, this.getStateById(toId), symbol);
+    });
+    capture.incoming.forEach(({ fromId, symbol }) => {
+      this.addTransition(this.getStateById(fromId), state, symbol);
+    });
+    return state;
+  }
+
+  // The given states and the transitions among them, in a form that
+  // can go on the clipboard and be pasted into any automaton.
+  copyStates(states) {
+    const ids = new Set(states.map((state) => state.id));
+    return {
+      format: DFA_CLIPBOARD_FORMAT,
+      states: states.map((state) => {
+        const transitions = {};
+        Object.keys(state.transitions).forEach((symbol) => {
+          const targets = this.getTargets(state, symbol)
+            .filter((target) => ids.has(target.id))
+            .map((target) => target.id);
+          if (targets.length > 0) transitions[symbol] = targets;
+        });
+        const stackOps = {};
+        this.stackRules(state).forEach(({ symbol, to, pop, push }) => {
+          if (!ids.has(to.id)) return;
+          if (!stackOps[symbol]) stackOps[symbol] = [];
+          stackOps[symbol].push({ to: to.id, pop, push: push.slice() });
+        });
+        return {
+          id: state.id,
+          x: state.x,
+          y: state.y,
+          isAccept: state.isAccept,
+          output: state.output,
+          outputs: { ...state.outputs },
+          transitions,
+          stackOps,
+        };
+      }),
+    };
+  }
+
+  // Adds copied states, moved by (dx, dy), with fresh ids and names.
+  // Symbols missing from the alphabet are added, and a DFA becomes an
+  // NFA or ε-NFA if the copy needs it. A PDA keeps the copied stack
+  // operations (adding their stack symbols) and leaves the stack alone
+  // on transitions copied from a finite automaton; other types drop
+  // them. Returns the new states.
+  pasteStates(copy, dx, dy) {
+    const fail = (message) => {
+      throw new Error(`Cannot paste: ${message}`);
+    };
+    if (!copy || copy.format !== DFA_CLIPBOARD_FORMAT) {
+      fail("not a copied selection");
+    }
+    if (!Array.isArray(copy.states)) fail("no states");
+    const ids = new Set();
+    copy.states.forEach((entry) => {
+      if (!Number.isFinite(entry.x) || !Number.isFinite(entry.y)) {
+        fail("a state has no position");
+      }
+      ids.add(entry.id);
+    });
+    let needsEpsilon = false;
+    let branches = false;
+    const symbols = new Set();
+    copy.states.forEach((entry) => {
+      Object.entries(entry.transitions || {}).forEach(([symbol, targets]) => {
+        if (!Array.isArray(targets) || !targets.every((id) => ids.has(id))) {
+          fail("a transition leads outside the copy");
+        }
+        if (symbol === EPSILON) needsEpsilon = true;
+        else symbols.add(symbol);
+        if (targets.length > 1) branches = true;
+      });
+    });
+
+    const isWord = (word) =>
+      Array.isArray(word) &&
+      word.every((symbol) => typeof symbol === "string" && symbol.length > 0);
+    copy.states.forEach((entry) => {
+      Object.entries(entry.stackOps || {}).forEach(([symbol, ops]) => {
+        const targets = (entry.transitions || {})[symbol] || [];
+        const valid =
+          Array.isArray(ops) &&
+          ops.every(
+            (op) =>
+              op &&
+              targets.includes(op.to) &&
+              (op.pop === null || isWord([op.pop])) &&
+              isWord(op.push),
+          );
+        if (!valid) fail("a stack operation is invalid");
+      });
+    });
+
+    if (!this.isPushdown()) {
+      if (needsEpsilon) this.setType("enfa");
+      else if (branches && this.isDeterministic()) this.setType("nfa");
+    }
+    symbols.forEach((symbol) => this.alphabet.add(symbol));
+
+    const created = new Map();
+    const isOutput = (symbol) => this.outputAlphabet.has(symbol);
+    copy.states.forEach((entry) => {
+      const state = this.addState(entry.x + dx, entry.y + dy);
+      state.isAccept = entry.isAccept === true;
+      if (isOutput(entry.output)) state.output = entry.output;
+      Object.entries(entry.outputs || {}).forEach(([symbol, output]) => {
+        if (isOutput(output)) state.outputs[symbol] = output;
+      });
+      created.set(entry.id, state);
+    });
+    copy.states.forEach((entry) => {
+      const state = created.get(entry.id);
+      Object.entries(entry.transitions || {}).forEach(([symbol, targets]) => {
+        targets.forEach((id) => {
+          if (!this.isPushdown()) {
+            this.addTransition(state, created.get(id), symbol);
+            return;
+          }
+          const ops = ((entry.stackOps || {})[symbol] || []).filter(
+            (op) => op.to === id,
+          );
+          if (ops.length === 0) ops.push({ pop: null, push: [] });
+          ops.forEach(({ pop, push }) => {
+            if (pop !== null) this.stackAlphabet.add(pop);
+            push.forEach((stackSymbol) => this.stackAlphabet.add(stackSymbol));
+            this.addStackRule(state, created.get(id), { symbol, pop, push });
+          });
+        });
+      });
+    });
+    return Array.from(created.values());
+  }
+
+  // Makes `state` the only start state; null leaves none.
+  setStartState(state) {
+    this.states.forEach((s) => (s.isStart = false));
+    this.startState = state;
+    if (state) {
+      state.isStart = true;
+    }
+  }
+
+  removeState(stateId) {
+    const index = this.states.findIndex((s) => s.id === stateId);
+    if (index !== -1) {
+      const state = this.states[index];
+      if (this.startState === state) {
+        this.startState = null;
+      }
+      // Remove transitions pointing to this state
+      this.states.forEach((s) => {
+        Object.keys(s.transitions).forEach((symbol) => {
+          if (this.isDeterministic()) {
+            if (s.transitions[symbol] === state) {
+              delete s.transitions[symbol];
+            }
+          } else {
+            this.removeTransition(s, symbol, state);
+          }
+        });
+      });
+      this.states.splice(index, 1);
+    }
+  }
+
+  getStateAt(x, y) {
+    for (let i = this.states.length - 1; i >= 0; i--) {
+      const state = this.states[i];
+      const dx = x - state.x;
+      const dy = y - state.y;
+      if (dx * dx + dy * dy <= state.radius * state.radius) {
+        return state;
+      }
+    }
+    return null;
+  }
+
+  // Whether `symbol` can label a transition in this automaton.
+  isTransitionSymbol(symbol) {
+    return (
+      this.alphabet.has(symbol) || (symbol === EPSILON && this.allowsEpsilon())
+    );
+  }
+
+  addTransition(fromState, toState, symbol) {
+    if (!this.isTransitionSymbol(symbol)) {
+      return false;
+    }
+
+    if (this.isDeterministic()) {
+      fromState.transitions[symbol] = toState;
+    } else {
+      const targets = fromState.transitions[symbol] || [];
+      if (!targets.includes(toState)) {
+        targets.push(toState);
+      }
+      fromState.transitions[symbol] = targets;
+    }
+    return true;
+  }
+
+  // Removes the transition on `symbol`. For nondeterministic automata a
+  // `toState` can be given to remove just that one target.
+  removeTransition(fromState, symbol, toState = null) {
+    if (this.isDeterministic() || !toState) {
+      delete fromState.transitions[symbol];
+      return;
+    }
+    const targets = (fromState.transitions[symbol] || []).filter(
+      (target) => target !== toState,
+    );
+    if (targets.length > 0) {
+      fromState.transitions[symbol] = targets;
+    } else {
+      delete fromState.transitions[symbol];
+    }
+  }
+
+  // Replaces all targets of `state` on `symbol` at once.
+  setTargets(state, symbol, targets) {
+    if (targets.length === 0) {
+      delete state.transitions[symbol];
+    } else {
+      state.transitions[symbol] = this.isDeterministic()
+        ? targets[0]
+        : targets.slice();
+    }
+  }
+
+  setAlphabet(symbols) {
+    this.alphabet = new Set(symbols);
+    // Remove transitions that are no longer valid
+    this.states.forEach((state) => {
+      Object.keys(state.transitions).forEach((symbol) => {
+        if (!this.alphabet.has(symbol) && symbol !== EPSILON) {
+          delete state.transitions[symbol];
+        }
+      });
+    });
+  }
+
+  // Output symbols that are no longer in the alphabet are cleared.
+  setOutputAlphabet(symbols) {
+    this.outputAlphabet = new Set(symbols);
+    this.states.forEach((state) => {
+      if (!this.outputAlphabet.has(state.output)) state.output = null;
+      Object.keys(state.outputs).forEach((symbol) => {
+        if (!this.outputAlphabet.has(state.outputs[symbol])) {
+          delete state.outputs[symbol];
+        }
+      });
+    });
+  }
+
+  setMachine(machine) {
+    if (!MACHINE_KINDS.includes(machine)) {
+      throw new Error(`Unknown machine kind '${machine}'`);
+    }
+    if (machine !== "acceptor" && !this.isDeterministic()) {
+      throw new Error(
+        "Mealy and Moore machines are deterministic. Convert to DFA first.",
+      );
+    }
+    this.machine = machine;
+  }
+
+  // The output written on the transition from `state` on `symbol` in a
+  // Mealy machine, or null.
+  transitionOutput(state, symbol) {
+    if (this.machine !== "mealy" || !state.transitions[symbol]) return null;
+    return state.outputs[symbol] || null;
+  }
+  // The rules of a PDA leaving `state`, as {symbol, to, pop, push}: on
+  // `symbol` (or EPSILON), pop `pop` (null pops nothing), push the list
+  // `push` (top first) and go to state `to`. Operations whose transition
+  // has been removed stay behind so undo can bring them back, but are
+  // not rules.
+  stackRules(state) {
+    const rules = [];
+    Object.keys(state.stackOps).forEach((symbol) => {
+      const targets = this.getTargets(state, symbol);
+      state.stackOps[symbol].forEach(({ to, pop, push }) => {
+        const target = targets.find((t) => t.id === to);
+        if (target) rules.push({ symbol, to: target, pop, push });
+      });
+    });
+    return rules;
+  }
+
+  // Adds a rule from `fromState` to `toState`, and the transition it
+  // needs. Returns false if the rule is already there.
+  addStackRule(fromState, toState, { symbol, pop, push }) {
+    if (!this.isTransitionSymbol(symbol)) return false;
+    const live = this.getTargets(fromState, symbol).includes(toState);
+    const ops = (fromState.stackOps[symbol] || []).filter(
+      (op) => live || op.to !== toState.id,
+    );
+    if (ops.some((op) => sameStackOp(op, toState.id, pop, push))) {
+      return false;
+    }
+    this.addTransition(fromState, toState, symbol);
+    fromState.stackOps[symbol] = ops.concat({
+      to: toState.id,
+      pop,
+      push: push.slice(),
+    });
+    return true;
+  }
+
+  // Removes a rule, and its transition if no other rule uses it.
+  removeStackRule(fromState, toState, { symbol, pop, push }) {
+    const ops = (fromState.stackOps[symbol] || []).filter(
+      (op) => !sameStackOp(op, toState.id, pop, push),
+    );
+    if (ops.length > 0) {
+      fromState.stackOps[symbol] = ops;
+    } else {
+      delete fromState.stackOps[symbol];
+    }
+    if (!ops.some((op) => op.to === toState.id)) {
+      this.removeTransition(fromState, symbol, toState);
+    }
+  }
+
+  // Rules that use a stack symbol no longer in the alphabet are removed,
+  // and so is the initial stack symbol.
+  setStackAlphabet(symbols) {
+    this.stackAlphabet = new Set(symbols);
+    const known = (symbol) => this.stackAlphabet.has(symbol);
+    this.states.forEach((state) => {
+      this.stackRules(state).forEach((rule) => {
+        if (
+          (rule.pop !== null && !known(rule.pop)) ||
+          !rule.push.every(known)
+        ) {
+          this.removeStackRule(state, rule.to, rule);
+        }
+      });
+    });
+    if (!known(this.initialStack)) this.initialStack = null;
+  }
+
+  // Human-readable stack contents, top first.
+  displayStack(symbols) {
+    if (symbols.length === 0) return EPSILON;
+    const multiChar = Array.from(this.stackAlphabet).some((s) => s.length > 1);
+    return symbols.join(multiChar ? "·" : "");
+  }
+
+  // The label of a rule, "a, X → γ".
+  formatStackRule({ symbol, pop, push }) {
+    return `${symbol}, ${pop === null ? EPSILON : pop} → ${this.displayStack(push)}`;
+  }
+
+  // The text of an edge label: its symbols, written `a/x` with their
+  // outputs in a Mealy machine, or the rules `a, X → γ` of a PDA edge.
+  // Used by the canvas and the TikZ and DOT exports.
+  edgeLabel(fromState, toState, symbols) {
+    if (this.isPushdown()) {
+      return this.stackRules(fromState)
+        .filter((rule) => rule.to === toState)
+        .map((rule) => this.formatStackRule(rule))
+        .join(" | ");
+    }
+    return symbols
+      .map((symbol) => {
+        const output = this.transitionOutput(fromState, symbol);
+        return output ? `${symbol}/${output}` : symbol;
+      })
+      .join(",");
+  }
+
+  // Reads a word of stack symbols, top first: symbols run together (the
+  // longest match is read first) or separated by spaces or commas, and
+  // ε or nothing for the empty word.
+  parseStackWord(text) {
+    const trimmed = text.trim();
+    if (trimmed === "" || trimmed === EPSILON) return [];
+    const symbols = Array.from(this.stackAlphabet).sort(
+      (a, b) => b.length - a.length,
+    );
+    const word = [];
+    trimmed.split(/[\s,·]+/).forEach((part) => {
+      let i = 0;
+      while (i < part.length) {
+        const symbol = symbols.find((sym) => part.startsWith(sym, i));
+        if (!symbol) {
+          throw new Error(`'${part.slice(i)}' is not in the stack alphabet`);
+        }
+        word.push(symbol);
+        i += symbol.length;
+      }
+    });
+    return word;
+  }
+
+  // All states reachable from `states` using only ε-transitions.
+  epsilonClosure(states) {
+    const closure = new Set(states);
+    const stack = Array.from(states);
+    while (stack.length > 0) {
+      const state = stack.pop();
+      this.getTargets(state, EPSILON).forEach((target) => {
+        if (!closure.has(target)) {
+          closure.add(target);
+          stack.push(target);
+        }
+      });
+    }
+    return closure;
+  }
+
+  // Sorts a set of states into canvas order so labels are stable.
+  sortStates(stateSet) {
+    return this.states.filter((state) => stateSet.has(state));
+  }
+
+  formatStateSet(states) {
+    if (states.length === 0) return "∅";
+    return `{${states.map((state) => state.name).join(", ")}}`;
+  }
+
+  // Splits an input string into alphabet symbols according to
+  // `inputMode`. An array is taken as already tokenized. On failure the
+  // symbols read before the bad spot are returned along with the error
+  // and the unread rest of the input.
+  tokenize(input) {
+    if (Array.isArray(input)) {
+      const bad = input.findIndex((symbol) => !this.alphabet.has(symbol));
+      return bad === -1
+        ? { tokens: input }
+        : {
+            tokens: input.slice(0, bad),
+            error: `Symbol '${input[bad]}' not in alphabet`,
+            rest: this.formatWord(input.slice(bad)),
+          };
+    }
+
+    const tokens = [];
+    if (this.inputMode === "separated") {
+      const parts = input.split(/[\s,]+/).filter((part) => part.length > 0);
+      for (let i = 0; i < parts.length; i++) {
+        if (!this.alphabet.has(parts[i])) {
+          return {
+            tokens,
+            error: `Symbol '${parts[i]}' not in alphabet`,
+            rest: parts.slice(i).join(" "),
+          };
+        }
+        tokens.push(parts[i]);
+      }
+      return { tokens };
+    }
+
+    const symbols = Array.from(this.alphabet).sort(
+      (a, b) => b.length - a.length,
+    );
+    let i = 0;
+    while (i < input.length) {
+      const symbol = symbols.find((sym) => input.startsWith(sym, i));
+      if (!symbol) {
+        return {
+          tokens,
+          error: `Symbol '${input[i]}' not in alphabet`,
+          rest: input.slice(i),
+        };
+      }
+      tokens.push(symbol);
+      i += symbol.length;
+    }
+    return { tokens };
+  }
+
+  // Turns a list of symbols back into something tokenize() reads the
+  // same way.
+  formatWord(tokens) {
+    return tokens.join(this.inputMode === "separated" ? " " : "");
+  }
+
+  // Human-readable form of a word. Token boundaries are marked with a
+  // middle dot whenever the alphabet has multi-character symbols.
+  displayWord(tokens) {
+    if (tokens.length === 0) return "ε";
+    const multiChar = Array.from(this.alphabet).some((s) => s.length > 1);
+    return tokens.join(multiChar ? "·" : "");
+  }
+
+  // `input` may be a string, split with tokenize(), or an array of
+  // symbols.
+  simulate(input) {
+    if (this.isPushdown()) {
+      return this.simulatePushdown(input);
+    }
+    if (!this.isDeterministic()) {
+      return this.simulateNondeterministic(input);
+    }
+    const result = this.simulateDeterministic(input);
+    return this.isTransducer() ? this.withOutput(result) : result;
+  }
+
+  simulateDeterministic(input) {
+    if (!this.startState) {
+      return {
+        accepted: false,
+        error: "No start state defined",
+        trace: [],
+      };
+    }
+
+    const { tokens, error, rest } = this.tokenize(input);
+    const trace = [];
+    let current = this.startState;
+    trace.push({
+      state: current.name,
+      stateId: current.id,
+      symbol: "START",
+      remaining: this.formatWord(tokens),
+    });
+
+    for (let i = 0; i < tokens.length; i++) {
+      const symbol = tokens[i];
+
+      if (!current.transitions[symbol]) {
+        trace.push({
+          state: current.name,
+          stateId: current.id,
+          symbol: symbol,
+          remaining: this.formatWord(tokens.slice(i + 1)),
+          error: "No transition defined",
+        });
+        return {
+          accepted: false,
+          error: `No transition from ${current.name} on symbol '${symbol}'`,
+          tokens: tokens,
+          trace: trace,
+        };
+      }
+
+      current = current.transitions[symbol];
+      trace.push({
+        state: current.name,
+        stateId: current.id,
+        symbol: symbol,
+        remaining: this.formatWord(tokens.slice(i + 1)),
+      });
+    }
+
+    if (error) {
+      return {
+        accepted: false,
+        error: error,
+        tokens: tokens,
+        unread: rest,
+        trace: trace,
+      };
+    }
+
+    return {
+      accepted: current.isAccept,
+      finalState: current.name,
+      tokens: tokens,
+      trace: trace,
+    };
+  }
+
+  // Adds what a Moore or Mealy machine writes during the run in `result`:
+  // the `output` of each trace step, and the whole output as `output` (a
+  // list of symbols) and `outputString`. A missing output stops the run
+  // like a missing transition does.
+  withOutput(result) {
+    const output = [];
+    const finish = (extra) => ({
+      ...result,
+      ...extra,
+      output,
+      outputString: this.displayOutput(output),
+    });
+    let previous = null;
+    for (const step of result.trace) {
+      if (step.error) break;
+      const state = this.getStateById(step.stateId);
+      if (this.machine === "moore" || previous) {
+        const symbol =
+          this.machine === "moore"
+            ? state.output
+            : this.transitionOutput(previous, step.symbol);
+        if (!symbol) {
+          return finish({
+            accepted: false,
+            error:
+              this.machine === "moore"
+                ? `${state.name} has no output`
+                : `No output on the transition from ${previous.name} on '${step.symbol}'`,
+          });
+        }
+        step.output = symbol;
+        output.push(symbol);
+      }
+      previous = state;
+    }
+    return finish({});
+  }
+
+  displayOutput(symbols) {
+    if (symbols.length === 0) return EPSILON;
+    const multiChar = symbols.some((symbol) => symbol.length > 1);
+    return symbols.join(multiChar ? "·" : "");
+  }
+
+  // The Mealy machine that writes, on each transition, the output of the
+  // Moore state it enters. Its output is this machine's without the
+  // start state's output, which a Mealy machine has no way to write.
+  toMealy() {
+    if (this.machine !== "moore") {
+      throw new Error("Only a Moore machine can be converted to Mealy");
+    }
+    const result = this.clone();
+    result.machine = "mealy";
+    result.states.forEach((state) => {
+      state.outputs = {};
+      Object.keys(state.transitions).forEach((symbol) => {
+        const { output } = state.transitions[symbol];
+        if (output) state.outputs[symbol] = output;
+      });
+    });
+    result.states.forEach((state) => {
+      state.output = null;
+    });
+    return result;
+  }
+
+  // The Moore machine with a state q/x for every state q entered on a
+  // transition writing x. The start state gets the output of one of its
+  // incoming transitions if it has any (or else the first output
+  // symbol); that first output is extra compared with the Mealy machine.
+  toMoore() {
+    if (this.machine !== "mealy") {
+      throw new Error("Only a Mealy machine can be converted to Moore");
+    }
+    if (this.outputAlphabet.size === 0) {
+      throw new Error("Set an output alphabet first");
+    }
+    const result = new DFA();
+    result.alphabet = new Set(this.alphabet);
+    result.inputMode = this.inputMode;
+    result.machine = "moore";
+    result.outputAlphabet = new Set(this.outputAlphabet);
+    if (!this.startState) return result;
+
+    const copies = new Map();
+    const queue = [];
+    const copyOf = (state, output) => {
+      const key = `${state.id}/${output}`;
+      if (!copies.has(key)) {
+        const copy = result.addState(
+          state.x,
+          state.y,
+          `${state.name}/${output}`,
+        );
+        copy.isAccept = state.isAccept;
+        copy.output = output;
+        copies.set(key, copy);
+        queue.push({ state, copy });
+      }
+      return copies.get(key);
+    };
+
+    let startOutput = null;
+    this.forEachTransition((from, symbol, to) => {
+      if (to === this.startState && !startOutput) {
+        startOutput = this.transitionOutput(from, symbol);
+      }
+    });
+    result.setStartState(
+      copyOf(
+        this.startState,
+        startOutput || this.outputAlphabet.values().next().value,
+      ),
+    );
+    while (queue.length > 0) {
+      const { state, copy } = queue.shift();
+      Object.keys(state.transitions).forEach((symbol) => {
+        const output = this.transitionOutput(state, symbol);
+        if (!output) {
+          throw new Error(
+            `No output on the transition from ${state.name} on '${symbol}'`,
+          );
+        }
+        result.addTransition(
+          copy,
+          copyOf(state.transitions[symbol], output),
+          symbol,
+        );
+      });
+    }
+    return result;
+  }
+
+  // Tracks the set of active states. Running out of active states is a
+  // plain rejection rather than an error, as it is for an NFA on paper.
+  simulateNondeterministic(input) {
+    if (!this.startState) {
+      return {
+        accepted: false,
+        error: "No start state defined",
+        trace: [],
+      };
+    }
+
+    const { tokens, error, rest } = this.tokenize(input);
+    const trace = [];
+    let current = this.sortStates(this.epsilonClosure([this.startState]));
+    trace.push({
+      state: this.formatStateSet(current),
+      states: current.map((state) => state.name),
+      stateIds: current.map((state) => state.id),
+      symbol: "START",
+      remaining: this.formatWord(tokens),
+    });
+
+    for (let i = 0; i < tokens.length; i++) {
+      const symbol = tokens[i];
+      const next = new Set();
+      current.forEach((state) => {
+        this.getTargets(state, symbol).forEach((target) => next.add(target));
+      });
+      current = this.sortStates(this.epsilonClosure(next));
+      trace.push({
+        state: this.formatStateSet(current),
+        states: current.map((state) => state.name),
+        stateIds: current.map((state) => state.id),
+        symbol: symbol,
+        remaining: this.formatWord(tokens.slice(i + 1)),
+      });
+
+      if (current.length === 0) break;
+    }
+
+    if (error && current.length > 0) {
+      return {
+        accepted: false,
+        error: error,
+        tokens: tokens,
+        unread: rest,
+        trace: trace,
+      };
+    }
+
+    return {
+      accepted: current.some((state) => state.isAccept),
+      finalState: this.formatStateSet(current),
+      finalStates: current.map((state) => state.name),
+      tokens: tokens,
+      trace: trace,
+    };
+  }
+
+  // Breadth-first search for an accepting run of a PDA over
+  // configurations: a state, how much input has been read and the stack.
+  // Stacks are shared linked cells, numbered so that equal stacks get
+  // the same id; that way each configuration is explored once without
+  // comparing whole stacks. The search gives up after `searchLimit`
+  // configurations.
+  //
+  // The trace follows one branch of the search: the accepting one, or
+  // else the one that read the most input. Each step has the `rule`
+  // taken, the `stack` after it and the number of symbols `consumed`.
+  simulatePushdown(input) {
+    if (!this.startState) {
+      return {
+        accepted: false,
+        error: "No start state defined",
+        trace: [],
+      };
+    }
+
+    const { tokens, error, rest } = this.tokenize(input);
+    const cells = new Map();
+    const emptyStack = { id: 0, top: null, below: null };
+    const push = (below, symbol) => {
+      const key = `${below.id} ${symbol}`;
+      if (!cells.has(key)) {
+        cells.set(key, { id: cells.size + 1, top: symbol, below });
+      }
+      return cells.get(key);
+    };
+    const toStep = (config) => {
+      const stack = [];
+      for (let cell = config.stack; cell !== emptyStack; cell = cell.below) {
+        stack.push(cell.top);
+      }
+      return {
+        state: config.state.name,
+        stateId: config.state.id,
+        symbol: config.rule ? config.rule.symbol : "START",
+        rule: config.rule ? this.formatStackRule(config.rule) : null,
+        stack: stack,
+        consumed: config.consumed,
+        remaining: this.formatWord(tokens.slice(config.consumed)),
+      };
+    };
+    const start = {
+      state: this.startState,
+      consumed: 0,
+      stack:
+        this.initialStack === null
+          ? emptyStack
+          : push(emptyStack, this.initialStack),
+      rule: null,
+      parent: null,
+    };
+    if (error) {
+      return {
+        accepted: false,
+        error: error,
+        tokens: tokens,
+        unread: rest,
+        trace: [toStep(start)],
+      };
+    }
+
+    const accepts = (config) =>
+      config.consumed === tokens.length &&
+      (this.acceptBy === "empty"
+        ? config.stack === emptyStack
+        : config.state.isAccept);
+    const key = (config) =>
+      `${config.state.id} ${config.consumed} ${config.stack.id}`;
+    const seen = new Set([key(start)]);
+    const queue = [start];
+    let explored = 0;
+    let accepting = null;
+    let furthest = start;
+    let gaveUp = false;
+    while (explored < queue.length) {
+      if (explored === this.searchLimit) {
+        gaveUp = true;
+        break;
+      }
+      const config = queue[explored++];
+      if (config.consumed > furthest.consumed) furthest = config;
+      if (accepts(config)) {
+        accepting = config;
+        break;
+      }
+      const next = tokens[config.consumed];
+      this.stackRules(config.state).forEach((rule) => {
+        if (rule.symbol !== EPSILON && rule.symbol !== next) return;
+        if (rule.pop !== null && config.stack.top !== rule.pop) return;
+        let stack = rule.pop === null ? config.stack : config.stack.below;
+        for (let i = rule.push.length - 1; i >= 0; i--) {
+          stack = push(stack, rule.push[i]);
+        }
+        const successor = {
+          state: rule.to,
+          consumed: config.consumed + (rule.symbol === EPSILON ? 0 : 1),
+          stack,
+          rule,
+          parent: config,
+        };
+        if (!seen.has(key(successor))) {
+          seen.add(key(successor));
+          queue.push(successor);
+        }
+      });
+    }
+
+    const trace = [];
+    for (let config = accepting || furthest; config; config = config.parent) {
+      trace.unshift(toStep(config));
+    }
+    const result = {
+      accepted: accepting !== null,
+      finalState: trace[trace.length - 1].state,
+      tokens: tokens,
+      trace: trace,
+      explored: explored,
+    };
+    if (gaveUp) {
+      result.error = `No accepting run found in the first ${this.searchLimit} configurations`;
+    }
+    return result;
+  }
+
+  // Subset construction. Returns a new DFA whose states are labelled with
+  // the NFA states they stand for. The empty subset is left out, so the
+  // result may be partial; missing transitions reject as usual.
+  toDFA() {
+    this.requireFinite();
+    const result = new DFA();
+    result.alphabet = new Set(this.alphabet);
+    if (!this.startState) {
+      return result;
+    }
+
+    const subsets = new Map();
+    const queue = [];
+    const stateFor = (stateSet) => {
+      const members = this.sortStates(stateSet);
+      const key = members.map((state) => state.id).join(",");
+      if (!subsets.has(key)) {
+        const state = result.addState(0, 0, this.formatStateSet(members));
+        state.isAccept = members.some((member) => member.isAccept);
+        subsets.set(key, state);
+        queue.push({ state, members });
+      }
+      return subsets.get(key);
+    };
+
+    result.startState = stateFor(this.epsilonClosure([this.startState]));
+    result.startState.isStart = true;
+
+    while (queue.length > 0) {
+      const { state, members } = queue.shift();
+      result.alphabet.forEach((symbol) => {
+        const next = new Set();
+        members.forEach((member) => {
+          this.getTargets(member, symbol).forEach((target) => next.add(target));
+        });
+        if (next.size > 0) {
+          result.addTransition(
+            state,
+            stateFor(this.epsilonClosure(next)),
+            symbol,
+          );
+        }
+      });
+    }
+
+    return result;
+  }
+
+  // States reachable from the start state, following every transition
+  // (including ε-transitions).
+  reachableStates() {
+    const reached = new Set();
+    if (!this.startState) return reached;
+    const stack = [this.startState];
+    reached.add(this.startState);
+    while (stack.length > 0) {
+      const state = stack.pop();
+      Object.keys(state.transitions).forEach((symbol) => {
+        this.getTargets(state, symbol).forEach((target) => {
+          if (!reached.has(target)) {
+            reached.add(target);
+            stack.push(target);
+          }
+        });
+      });
+    }
+    return reached;
+  }
+
+  // States from which some accepting state can be reached.
+  coreachableStates() {
+    const reached = new Set(this.states.filter((state) => state.isAccept));
+    let changed = true;
+    while (changed) {
+      changed = false;
+      this.forEachTransition((from, symbol, to) => {
+        if (reached.has(to) && !reached.has(from)) {
+          reached.add(from);
+          changed = true;
+        }
+      });
+    }
+    return reached;
+  }
+
+  // Structural problems worth pointing out while editing. Each issue has
+  // a `kind`, a message and the states involved (possibly none).
+  validate() {
+    const issues = [];
+    if (this.states.length === 0) return issues;
+
+    if (!this.startState) {
+      issues.push({
+        kind: "noStart",
+        message: "No start state",
+        states: [],
+      });
+    }
+
+    if (this.isDeterministic()) {
+      this.states.forEach((state) => {
+        const missing = Array.from(this.alphabet).filter(
+          (symbol) => !state.transitions[symbol],
+        );
+        if (missing.length > 0) {
+          issues.push({
+            kind: "missing",
+            message: `${state.name} has no transition on ${missing.map((s) => `'${s}'`).join(", ")}`,
+            states: [state],
+            symbols: missing,
+          });
+        }
+      });
+    }
+
+    if (this.machine === "moore") {
+      this.states.forEach((state) => {
+        if (!state.output) {
+          issues.push({
+            kind: "missingOutput",
+            message: `${state.name} has no output`,
+            states: [state],
+          });
+        }
+      });
+    } else if (this.machine === "mealy") {
+      this.states.forEach((state) => {
+        const missing = Object.keys(state.transitions).filter(
+          (symbol) => !this.transitionOutput(state, symbol),
+        );
+        if (missing.length > 0) {
+          issues.push({
+            kind: "missingOutput",
+            message: `${state.name} has no output on ${missing.map((s) => `'${s}'`).join(", ")}`,
+            states: [state],
+            symbols: missing,
+          });
+        }
+      });
+    }
+
+    if (this.startState) {
+      const reachable = this.reachableStates();
+      this.states.forEach((state) => {
+        if (!reachable.has(state)) {
+          issues.push({
+            kind: "unreachable",
+            message: `${state.name} is unreachable from the start state`,
+            states: [state],
+          });
+        }
+      });
+    }
+
+    // Accepting by empty stack doesn't involve accepting states.
+    const coreachable =
+      this.isPushdown() && this.acceptBy === "empty"
+        ? new Set(this.states)
+        : this.coreachableStates();
+    this.states.forEach((state) => {
+      if (!coreachable.has(state)) {
+        issues.push({
+          kind: "dead",
+          message: `${state.name} is a dead state (no accepting state is reachable from it)`,
+          states: [state],
+        });
+      }
+    });
+
+    const byName = new Map();
+    this.states.forEach((state) => {
+      if (!byName.has(state.name)) byName.set(state.name, []);
+      byName.get(state.name).push(state);
+    });
+    byName.forEach((states, name) => {
+      if (states.length > 1) {
+        issues.push({
+          kind: "duplicateName",
+          message: `${states.length} states are named ${name}`,
+          states: states,
+        });
+      }
+    });
+
+    return issues;
+  }
+
+  // Moore-style partition refinement. Unreachable states are dropped,
+  // then blocks are split until every state in a block agrees on which
+  // block each symbol leads to. A missing transition counts as its own
+  // implicit "dead" block, so partial DFAs minimize without being
+  // completed first. Dead states (ones that can never reach acceptance)
+  // behave exactly like a missing transition, so they join that block
+  // and are left out of the result too, which can leave it partial. If
+  // the start state is dead the language is empty, and the result is a
+  // single non-accepting state looping on every symbol.
+  //
+  // Returns the minimized DFA, the states that were removed as
+  // unreachable or dead, and the partition after each refinement round
+  // (blocks are arrays of states from this DFA).
+  minimize() {
+    if (!this.isDeterministic()) {
+      throw new Error("Minimization needs a DFA. Convert to DFA first.");
+    }
+    if (this.isTransducer()) {
+      throw new Error(
+        "Minimization of Mealy and Moore machines is not supported",
+      );
+    }
+    if (!this.startState) {
+      throw new Error("No start state defined");
+    }
+
+    const reachable = this.reachableStates();
+    const live = this.coreachableStates();
+    const states = this.states.filter(
+      (state) =>
+        reachable.has(state) && (live.has(state) || state === this.startState),
+    );
+    const unreachable = this.states.filter((state) => !reachable.has(state));
+    const dead = this.states.filter(
+      (state) => reachable.has(state) && !states.includes(state),
+    );
+    const symbols = Array.from(this.alphabet);
+
+    const splitBy = (keyOf) => {
+      const blocks = new Map();
+      states.forEach((state) => {
+        const key = keyOf(state);
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(state);
+      });
+      return Array.from(blocks.values());
+    };
+
+    let partition = splitBy((state) => (state.isAccept ? "accept" : "reject"));
+    const rounds = [partition];
+
+    for (;;) {
+      const blockOf = new Map();
+      partition.forEach((block, index) => {
+        block.forEach((state) => blockOf.set(state, index));
+      });
+      const refined = splitBy((state) =>
+        [blockOf.get(state)]
+          .concat(
+            symbols.map((symbol) => {
+              const target = state.transitions[symbol];
+              return blockOf.has(target) ? blockOf.get(target) : -1;
+            }),
+          )
+          .join(","),
+      );
+      if (refined.length === partition.length) break;
+      partition = refined;
+      rounds.push(partition);
+    }
+
+    // Build one state per block, placed at the centre of its members so
+    // the minimized diagram keeps roughly the same shape.
+    const result = new DFA();
+    result.alphabet = new Set(this.alphabet);
+    const blockState = new Map();
+    partition.forEach((block) => {
+      const x = block.reduce((sum, state) => sum + state.x, 0) / block.length;
+      const y = block.reduce((sum, state) => sum + state.y, 0) / block.length;
+      const name =
+        block.length === 1 ? block[0].name : this.formatStateSet(block);
+      const merged = result.addState(x, y, name);
+      merged.isAccept = block[0].isAccept;
+      block.forEach((state) => blockState.set(state, merged));
+    });
+    partition.forEach((block) => {
+      const from = blockState.get(block[0]);
+      symbols.forEach((symbol) => {
+        const target = block[0].transitions[symbol];
+        if (blockState.has(target)) {
+          result.addTransition(from, blockState.get(target), symbol);
+        }
+      });
+    });
+    result.startState = blockState.get(this.startState);
+    result.startState.isStart = true;
+    if (!live.has(this.startState)) {
+      symbols.forEach((symbol) => {
+        result.addTransition(result.startState, result.startState, symbol);
+      });
+    }
+
+    return { dfa: result, unreachable, dead, rounds };
+  }
+
+  clone() {
+    const copy = new DFA();
+    copy.load(this.toJSON());
+    return copy;
+  }
+
+  // Routes every missing transition to a new non-accepting sink state.
+  // Returns the sink, or null if the DFA was already complete.
+  addTrapState(x, y, name = null) {
+    const symbols = Array.from(this.alphabet);
+    const incomplete = this.states.filter((state) =>
+      symbols.some((symbol) => !state.transitions[symbol]),
+    );
+    if (incomplete.length === 0 && this.states.length > 0) return null;
+
+    const trap = this.addState(x, y, name || "trap");
+    incomplete.concat(trap).forEach((state) => {
+      symbols.forEach((symbol) => {
+        if (!state.transitions[symbol]) {
+          this.addTransition(state, trap, symbol);
+        }
+      });
+    });
+    return trap;
+  }
+
+  // Complement with respect to the alphabet: determinize, complete with
+  // a dead state so every rejected string ends somewhere, then swap
+  // accepting and non-accepting states.
+  complement() {
+    const result = this.isDeterministic() ? this.clone() : this.toDFA();
+    let trap = result.addTrapState(0, 0, "∅");
+    if (!result.startState) {
+      // Without a start state nothing is accepted, so the complement
+      // starts in the dead state and accepts everything.
+      if (!trap) {
+        trap = result.addState(0, 0, "∅");
+        result.alphabet.forEach((symbol) => {
+          result.addTransition(trap, trap, symbol);
+        });
+      }
+      result.startState = trap;
+      trap.isStart = true;
+    }
+    result.states.forEach((state) => {
+      state.isAccept = !state.isAccept;
+    });
+    return result;
+  }
+
+  // Product construction for union, intersection, difference (this minus
+  // other) and symmetricDifference. Only reachable pairs are built. As in
+  // findCounterexample, a missing transition is an implicit dead state,
+  // shown as ∅ in the pair names.
+  product(other, operation) {
+    const acceptRules = {
+      union: (a, b) => a || b,
+      intersection: (a, b) => a && b,
+      difference: (a, b) => a && !b,
+      symmetricDifference: (a, b) => a !== b,
+    };
+    const acceptRule = acceptRules[operation];
+    if (!acceptRule) {
+      throw new Error(`Unknown operation '${operation}'`);
+    }
+
+    const left = this.isDeterministic() ? this : this.toDFA();
+    const right = other.isDeterministic() ? other : other.toDFA();
+    if (!left.startState || !right.startState) {
+      throw new Error("Both automata need a start state");
+    }
+
+    const result = new DFA();
+    result.alphabet = new Set([...left.alphabet, ...right.alphabet]);
+    const pairs = new Map();
+    const queue = [];
+    const stateFor = (p, q) => {
+      const key = `${p ? p.id : "-"},${q ? q.id : "-"}`;
+      if (!pairs.has(key)) {
+        const name = `(${p ? p.name : "∅"}, ${q ? q.name : "∅"})`;
+        const state = result.addState(0, 0, name);
+        state.isAccept = acceptRule(
+          Boolean(p && p.isAccept),
+          Boolean(q && q.isAccept),
+        );
+        pairs.set(key, state);
+        queue.push({ state, p, q });
+      }
+      return pairs.get(key);
+    };
+
+    result.startState = stateFor(left.startState, right.startState);
+    result.startState.isStart = true;
+    while (queue.length > 0) {
+      const { state, p, q } = queue.shift();
+      result.alphabet.forEach((symbol) => {
+        const nextP = (p && p.transitions[symbol]) || null;
+        const nextQ = (q && q.transitions[symbol]) || null;
+        if (nextP || nextQ) {
+          result.addTransition(state, stateFor(nextP, nextQ), symbol);
+        }
+      });
+    }
+    return result;
+  }
+
+  // Reverses every transition. The original start state becomes the only
+  // accepting state; if there are several accepting states a new start
+  // state with ε-transitions to each of them is added, so the result is
+  // an ε-NFA. Pass `determinize` to get a DFA via subset construction.
+  reverse(determinize = false) {
+    this.requireFinite();
+    if (!this.startState) {
+      throw new Error("No start state defined");
+    }
+
+    const accepting = this.states.filter((state) => state.isAccept);
+    const result = new DFA();
+    result.setType(
+      this.allowsEpsilon() || accepting.length > 1 ? "enfa" : "nfa",
+    );
+    result.alphabet = new Set(this.alphabet);
+
+    const copies = new Map();
+    this.states.forEach((state) => {
+      const copy = result.addState(0, 0, state.name);
+      copy.isAccept = state === this.startState;
+      copies.set(state, copy);
+    });
+    this.forEachTransition((from, symbol, to) => {
+      result.addTransition(copies.get(to), copies.get(from), symbol);
+    });
+
+    if (accepting.length === 1) {
+      result.startState = copies.get(accepting[0]);
+    } else {
+      result.startState = result.addState(0, 0, "start");
+      accepting.forEach((state) => {
+        result.addTransition(result.startState, copies.get(state), EPSILON);
+      });
+    }
+    result.startState.isStart = true;
+
+    return determinize ? result.toDFA() : result;
+  }
+
+  // Breadth-first search of the product automaton for the shortest word
+  // the two machines disagree on. Nondeterministic machines are
+  // determinized first. Symbols outside one machine's alphabet, like
+  // missing transitions, send that machine to an implicit dead state.
+  //
+  // Returns null if the languages are equal, otherwise the word (as an
+  // array of symbols) and which machine accepts it: "this" or "other".
+  findCounterexample(other) {
+    const left = this.isDeterministic() ? this : this.toDFA();
+    const right = other.isDeterministic() ? other : other.toDFA();
+    const symbols = Array.from(left.alphabet);
+    right.alphabet.forEach((symbol) => {
+      if (!left.alphabet.has(symbol)) symbols.push(symbol);
+    });
+
+    const step = (state, symbol) =>
+      (state && state.transitions[symbol]) || null;
+    const accepts = (state) => Boolean(state && state.isAccept);
+    const keyOf = (p, q) => `${p ? p.id : "-"},${q ? q.id : "-"}`;
+
+    const start = { p: left.startState, q: right.startState, parent: null };
+    const seen = new Set([keyOf(start.p, start.q)]);
+    const queue = [start];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (accepts(node.p) !== accepts(node.q)) {
+        const word = [];
+        for (let n = node; n.parent; n = n.parent) {
+          word.unshift(n.symbol);
+        }
+        return { word, acceptedBy: accepts(node.p) ? "this" : "other" };
+      }
+      // Once both sides are dead nothing can be accepted any more.
+      if (!node.p && !node.q) continue;
+      symbols.forEach((symbol) => {
+        const p = step(node.p, symbol);
+        const q = step(node.q, symbol);
+        const key = keyOf(p, q);
+        if (!seen.has(key)) {
+          seen.add(key);
+          queue.push({ p, q, parent: node, symbol });
+        }
+      });
+    }
+    return null;
+  }
+
+  // Builds a DFA for a regular expression over `alphabet` (Thompson's
+  // construction followed by subset construction). The subset labels
+  // refer to internal Thompson states, so the result is renamed q0, q1, ...
+  static fromRegex(source, alphabet) {
+    const ast = parseRegex(source, alphabet);
+    const nfa = new DFA();
+    nfa.setType("enfa");
+    nfa.alphabet = new Set(alphabet);
+
+    const fragment = buildThompson(nfa, ast);
+    fragment.start.isStart = true;
+    fragment.end.isAccept = true;
+    nfa.startState = fragment.start;
+
+    const result = nfa.toDFA();
+    result.states.forEach((state) => {
+      state.name = `q${state.id}`;
+    });
+    return result;
+  }
+
+  // State elimination. The automaton is wrapped with a fresh start and
+  // a single final state, then every original state is removed in turn
+  // (fewest connections first, which keeps the expression shorter) until
+  // only the edge from the new start to the new final state remains.
+  toRegex() {
+    this.requireFinite();
+    if (!this.startState) {
+      throw new Error("No start state defined");
+    }
+
+    const START = "start";
+    const FINAL = "final";
+    const edges = new Map();
+    const key = (from, to) => `${from}>${to}`;
+    const getEdge = (from, to) => edges.get(key(from, to)) || REGEX_EMPTY;
+    const addEdge = (from, to, node) => {
+      edges.set(key(from, to), regexUnion(getEdge(from, to), node));
+    };
+
+    addEdge(START, this.startState.id, REGEX_EPSILON);
+    this.states.forEach((state) => {
+      if (state.isAccept) addEdge(state.id, FINAL, REGEX_EPSILON);
+    });
+    this.forEachTransition((from, symbol, to) => {
+      addEdge(
+        from.id,
+        to.id,
+        symbol === EPSILON ? REGEX_EPSILON : { type: "symbol", symbol },
+      );
+    });
+
+    let remaining = this.states.map((state) => state.id);
+    const nodes = () => [START, FINAL].concat(remaining);
+    const degree = (id) =>
+      nodes().filter((other) => other !== id && edges.has(key(other, id)))
+        .length *
+      nodes().filter((other) => other !== id && edges.has(key(id, other)))
+        .length;
+
+    while (remaining.length > 0) {
+      const victim = remaining.reduce((best, id) =>
+        degree(id) < degree(best) ? id : best,
+      );
+      remaining = remaining.filter((id) => id !== victim);
+
+      const loop = regexStar(getEdge(victim, victim));
+      const into = nodes().filter((id) => edges.has(key(id, victim)));
+      const outOf = nodes().filter((id) => edges.has(key(victim, id)));
+      into.forEach((from) => {
+        outOf.forEach((to) => {
+          addEdge(
+            from,
+            to,
+            regexConcat(
+              getEdge(from, victim),
+              regexConcat(loop, getEdge(victim, to)),
+            ),
+          );
+        });
+      });
+      Array.from(edges.keys()).forEach((edgeKey) => {
+        const [from, to] = edgeKey.split(">");
+        if (from === String(victim) || to === String(victim)) {
+          edges.delete(edgeKey);
+        }
+      });
+    }
+
+    const separator = Array.from(this.alphabet).some(
+      (symbol) => symbol.length > 1,
+    )
+      ? " "
+      : "";
+    return regexToString(getEdge(START, FINAL), separator);
+  }
+
+  // Positions for an automatic layout as a Map from state id to {x, y},
+  // fitted into `bounds` ({x, y, width, height}). "layered" puts the
+  // states in columns by BFS distance from the start state, left to
+  // right; "force" runs a spring embedder seeded with the layered layout.
+  computeLayout(method, bounds) {
+    const graph = layoutGraph(this);
+    let positions = layeredLayout(this, graph);
+    if (method === "force") {
+      positions = forceLayout(graph, positions);
+    } else if (method !== "layered") {
+      throw new Error(`Unknown layout '${method}'`);
+    }
+    return fitLayout(positions, bounds);
+  }
+
+  // TikZ picture using the `automata` library. Canvas pixels map to
+  // 1/50 cm with the y axis flipped, so the layout matches the canvas.
+  toTikz() {
+    const node = (state) => `s${state.id}`;
+    const label = (state) => {
+      const match = state.name.match(/^([A-Za-z]+)(\d+)$/);
+      return match ? `$${match[1]}_{${match[2]}}$` : escapeLatex(state.name);
+    };
+    // The canvas label, with its special characters in math mode.
+    const mathSymbols = {
+      [EPSILON]: "$\\varepsilon$",
+      "→": "$\\to$",
+      "·": "$\\cdot$",
+      "|": "$|$",
+    };
+    const edgeLabel = (fromState, toState, symbols) =>
+      escapeLatex(this.edgeLabel(fromState, toState, symbols)).replace(
+        /[ε→·|]/g,
+        (ch) => mathSymbols[ch],
+      );
+
+    const lines = [
+      "% Requires \\usetikzlibrary{automata, arrows.meta}",
+      "\\begin{tikzpicture}[shorten >=1pt, >={Stealth[round]}, auto]",
+    ];
+    this.states.forEach((state) => {
+      const options = ["state"];
+      if (state.isStart) options.push("initial");
+      if (state.isAccept) options.push("accepting");
+      lines.push(
+        `  \\node[${options.join(", ")}] (${node(state)}) at (${formatNumber(state.x / 50)}, ${formatNumber(-state.y / 50)}) {${label(state)}};`,
+      );
+    });
+
+    const groups = this.getTransitionGroups();
+    if (groups.length > 0) {
+      lines.push("  \\path[->]");
+      groups.forEach(({ fromState, toState, symbols }) => {
+        let edge = "edge";
+        if (fromState === toState) {
+          edge = "edge [loop above]";
+        } else if (this.hasTransitionBetween(toState, fromState)) {
+          edge = "edge [bend left=15]";
+        }
+        const target = fromState === toState ? "()" : `(${node(toState)})`;
+        lines.push(
+          `    (${node(fromState)}) ${edge} node {${edgeLabel(fromState, toState, symbols)}} ${target}`,
+        );
+      });
+      lines[lines.length - 1] += ";";
+    }
+    lines.push("\\end{tikzpicture}");
+    return lines.join("\n");
+  }
+
+  // Graphviz DOT. Positions are pinned (in inches, 72 canvas pixels
+  // each) so `neato` reproduces the canvas layout; `dot` ignores them
+  // and lays the graph out left to right.
+  toDot() {
+    const quote = (text) =>
+      `"${String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+    const lines = [
+      "digraph automaton {",
+      "  rankdir=LR;",
+      "  node [shape=circle];",
+    ];
+    this.states.forEach((state) => {
+      const attributes = [
+        `label=${quote(state.name)}`,
+        `pos="${formatNumber(state.x / 72)},${formatNumber(-state.y / 72)}!"`,
+      ];
+      if (state.isAccept) attributes.push("shape=doublecircle");
+      lines.push(`  s${state.id} [${attributes.join(", ")}];`);
+    });
+    if (this.startState) {
+      lines.push('  __start [shape=none, label="", width=0, height=0];');
+      lines.push(`  __start -> s${this.startState.id};`);
+    }
+    this.getTransitionGroups().forEach(({ fromState, toState, symbols }) => {
+      lines.push(
+        `  s${fromState.id} -> s${toState.id} [label=${quote(this.edgeLabel(fromState, toState, symbols))}];`,
+      );
+    });
+    lines.push("}");
+    return lines.join("\n");
+  }
+
+  // Transitions grouped by (from, to) pair, in the order they are drawn.
+  getTransitionGroups() {
+    const groups = new Map();
+    this.forEachTransition((fromState, symbol, toState) => {
+      const key = `${fromState.id}-${toState.id}`;
+      if (!groups.has(key)) {
+        groups.set(key, { fromState, toState, symbols: [] });
+      }
+      groups.get(key).symbols.push(symbol);
+    });
+    return Array.from(groups.values());
+  }
+
+  toJSON() {
+    const doc = {
+      format: DFA_FORMAT,
+      version: DFA_FORMAT_VERSION,
+      type: this.type,
+      alphabet: Array.from(this.alphabet),
+      machine: this.machine,
+      outputAlphabet: Array.from(this.outputAlphabet),
+      inputMode: this.inputMode,
+      stateIdCounter: this.stateIdCounter,
+      tests: this.tests.map(({ input, expect }) => ({ input, expect })),
+      states: this.states.map((state) => {
+        const transitions = {};
+        const outputs = {};
+        Object.keys(state.transitions).forEach((symbol) => {
+          const targets = this.getTargets(state, symbol).map((t) => t.id);
+          transitions[symbol] = this.isDeterministic() ? targets[0] : targets;
+          if (this.transitionOutput(state, symbol)) {
+            outputs[symbol] = state.outputs[symbol];
+          }
+        });
+        const entry = {
+          id: state.id,
+          name: state.name,
+          x: state.x,
+          y: state.y,
+          isStart: state.isStart,
+          isAccept: state.isAccept,
+          transitions: transitions,
+        };
+        if (this.machine === "moore") entry.output = state.output;
+        if (this.machine === "mealy") entry.outputs = outputs;
+        if (this.isPushdown()) {
+          entry.stackOps = {};
+          this.stackRules(state).forEach(({ symbol, to, pop, push }) => {
+            if (!entry.stackOps[symbol]) entry.stackOps[symbol] = [];
+            entry.stackOps[symbol].push({ to: to.id, pop, push: push.slice() });
+          });
+        }
+        return entry;
+      }),
+    };
+    if (this.isPushdown()) {
+      doc.stackAlphabet = Array.from(this.stackAlphabet);
+      doc.initialStack = this.initialStack;
+      doc.acceptBy = this.acceptBy;
+      doc.searchLimit = this.searchLimit;
+    }
+    return doc;
+  }
+
+  // Replaces the current contents with a document produced by toJSON().
+  // The whole document is validated before anything is modified, so a
+  // rejected load leaves the DFA untouched.
+  load(doc) {
+    const fail = (message) => {
+      throw new Error(`Invalid DFA document: ${message}`);
+    };
+
+    if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+      fail("expected a JSON object");
+    }
+    if (doc.format !== DFA_FORMAT) {
+      fail(`unknown format '${doc.format}'`);
+    }
+    // Version 1 predates the automaton type and only described DFAs.
+    if (doc.version !== 1 && doc.version !== DFA_FORMAT_VERSION) {
+      fail(`unsupported version ${doc.version}`);
+    }
+    const type = doc.version === 1 ? "dfa" : doc.type;
+    if (!AUTOMATON_TYPES.includes(type)) {
+      fail(`unknown automaton type '${type}'`);
+    }
+
+    const machine = doc.machine === undefined ? "acceptor" : doc.machine;
+    if (!MACHINE_KINDS.includes(machine)) {
+      fail(`unknown machine kind '${machine}'`);
+    }
+    if (machine !== "acceptor" && type !== "dfa") {
+      fail(`a ${machine} machine must be deterministic`);
+    }
+    const outputAlphabet = new Set();
+    (doc.outputAlphabet === undefined ? [] : doc.outputAlphabet).forEach(
+      (symbol) => {
+        if (typeof symbol !== "string" || symbol.length === 0) {
+          fail("output symbols must be non-empty strings");
+        }
+        if (outputAlphabet.has(symbol)) {
+          fail(`duplicate output symbol '${symbol}'`);
+        }
+        outputAlphabet.add(symbol);
+      },
+    );
+    const checkOutput = (output, where) => {
+      if (output !== null && !outputAlphabet.has(output)) {
+        fail(`${where} has output '${output}', which is not an output symbol`);
+      }
+    };
+
+    // The stack settings are only saved for pushdown automata; other
+    // types keep the defaults.
+    const pushdown = type === "pda";
+    const stackAlphabet = new Set(pushdown ? [] : ["Z"]);
+    if (pushdown) {
+      if (!Array.isArray(doc.stackAlphabet)) {
+        fail("stackAlphabet must be an array");
+      }
+      doc.stackAlphabet.forEach((symbol) => {
+        if (typeof symbol !== "string" || symbol.length === 0) {
+          fail("stack symbols must be non-empty strings");
+        }
+        if (symbol === EPSILON) {
+          fail(`'${EPSILON}' is reserved and cannot be a stack symbol`);
+        }
+        if (stackAlphabet.has(symbol)) {
+          fail(`duplicate stack symbol '${symbol}'`);
+        }
+        stackAlphabet.add(symbol);
+      });
+    }
+    let initialStack = "Z";
+    if (pushdown) {
+      initialStack = doc.initialStack === undefined ? null : doc.initialStack;
+    }
+    if (initialStack !== null && !stackAlphabet.has(initialStack)) {
+      fail(`initial stack symbol '${initialStack}' is not a stack symbol`);
+    }
+    const acceptBy = doc.acceptBy === undefined ? "final" : doc.acceptBy;
+    if (!PDA_ACCEPTANCE.includes(acceptBy)) {
+      fail(`unknown acceptance '${acceptBy}'`);
+    }
+    const searchLimit =
+      doc.searchLimit === undefined ? PDA_SEARCH_LIMIT : doc.searchLimit;
+    if (!Number.isInteger(searchLimit) || searchLimit < 1) {
+      fail("searchLimit must be a positive integer");
+    }
+    const isStackWord = (word) =>
+      Array.isArray(word) && word.every((symbol) => stackAlphabet.has(symbol));
+
+    const inputMode = doc.inputMode === undefined ? "longest" : doc.inputMode;
+    if (!INPUT_MODES.includes(inputMode)) {
+      fail(`unknown input mode '${inputMode}'`);
+    }
+
+    if (!Array.isArray(doc.alphabet) || doc.alphabet.length === 0) {
+      fail("alphabet must be a non-empty array");
+    }
+    const alphabet = new Set();
+    doc.alphabet.forEach((symbol) => {
+      if (typeof symbol !== "string" || symbol.length === 0) {
+        fail("alphabet symbols must be non-empty strings");
+      }
+      if (symbol === EPSILON) {
+        fail(`'${EPSILON}' is reserved and cannot be an alphabet symbol`);
+      }
+      if (alphabet.has(symbol)) {
+        fail(`duplicate alphabet symbol '${symbol}'`);
+      }
+      alphabet.add(symbol);
+    });
+
+    const tests = doc.tests === undefined ? [] : doc.tests;
+    if (!Array.isArray(tests)) {
+      fail("tests must be an array");
+    }
+    tests.forEach((test, index) => {
+      if (
+        !test ||
+        typeof test.input !== "string" ||
+        typeof test.expect !== "boolean"
+      ) {
+        fail(`test #${index} needs a string input and a boolean expect`);
+      }
+    });
+
+    if (!Array.isArray(doc.states)) {
+      fail("states must be an array");
+    }
+    const byId = new Map();
+    doc.states.forEach((entry, index) => {
+      if (!entry || typeof entry !== "object") {
+        fail(`state #${index} is not an object`);
+      }
+      if (!Number.isInteger(entry.id) || entry.id < 0) {
+        fail(`state #${index} has an invalid id`);
+      }
+      if (byId.has(entry.id)) {
+        fail(`duplicate state id ${entry.id}`);
+      }
+      if (typeof entry.name !== "string") {
+        fail(`state ${entry.id} has no name`);
+      }
+      if (!Number.isFinite(entry.x) || !Number.isFinite(entry.y)) {
+        fail(`state ${entry.id} has an invalid position`);
+      }
+      if (
+        !entry.transitions ||
+        typeof entry.transitions !== "object" ||
+        Array.isArray(entry.transitions)
+      ) {
+        fail(`state ${entry.id} has invalid transitions`);
+      }
+      byId.set(entry.id, entry);
+    });
+
+    const startStates = doc.states.filter((entry) => entry.isStart === true);
+    if (startStates.length > 1) {
+      fail("more than one start state");
+    }
+
+    doc.states.forEach((entry) => {
+      Object.keys(entry.transitions).forEach((symbol) => {
+        const epsilonAllowed =
+          symbol === EPSILON && (type === "enfa" || type === "pda");
+        if (!alphabet.has(symbol) && !epsilonAllowed) {
+          fail(
+            `state ${entry.id} has a transition on '${symbol}', which is not in the alphabet`,
+          );
+        }
+        const target = entry.transitions[symbol];
+        if (type === "dfa" ? Array.isArray(target) : !Array.isArray(target)) {
+          fail(
+            `state ${entry.id} has a transition on '${symbol}' of the wrong shape for a ${type.toUpperCase()}`,
+          );
+        }
+        [].concat(target).forEach((targetId) => {
+          if (!byId.has(targetId)) {
+            fail(
+              `state ${entry.id} has a transition on '${symbol}' to missing state ${targetId}`,
+            );
+          }
+        });
+      });
+      if (machine === "moore" && entry.output !== undefined) {
+        checkOutput(entry.output, `state ${entry.id}`);
+      }
+      if (machine === "mealy" && entry.outputs !== undefined) {
+        if (typeof entry.outputs !== "object" || entry.outputs === null) {
+          fail(`state ${entry.id} has invalid outputs`);
+        }
+        Object.keys(entry.outputs).forEach((symbol) => {
+          if (!(symbol in entry.transitions)) {
+            fail(
+              `state ${entry.id} has an output on '${symbol}' but no transition`,
+            );
+          }
+          checkOutput(
+            entry.outputs[symbol],
+            `the transition from state ${entry.id} on '${symbol}'`,
+          );
+        });
+      }
+      if (pushdown && entry.stackOps !== undefined) {
+        if (
+          !entry.stackOps ||
+          typeof entry.stackOps !== "object" ||
+          Array.isArray(entry.stackOps)
+        ) {
+          fail(`state ${entry.id} has invalid stack operations`);
+        }
+        Object.keys(entry.stackOps).forEach((symbol) => {
+          const ops = entry.stackOps[symbol];
+          const targets = entry.transitions[symbol] || [];
+          if (!Array.isArray(ops)) {
+            fail(`state ${entry.id} has invalid stack operations`);
+          }
+          ops.forEach((op) => {
+            if (!op || !targets.includes(op.to)) {
+              fail(
+                `state ${entry.id} has a stack operation on '${symbol}' without a transition`,
+              );
+            }
+            if (op.pop !== null && !stackAlphabet.has(op.pop)) {
+              fail(
+                `state ${entry.id} pops '${op.pop}', which is not a stack symbol`,
+              );
+            }
+            if (!isStackWord(op.push)) {
+              fail(
+                `state ${entry.id} pushes something that is not a list of stack symbols`,
+              );
+            }
+          });
+        });
+      }
+    });
+
+    const maxId = doc.states.reduce(
+      (max, entry) => Math.max(max, entry.id),
+      -1,
+    );
+    if (!Number.isInteger(doc.stateIdCounter) || doc.stateIdCounter <= maxId) {
+      fail("stateIdCounter must be greater than every state id");
+    }
+
+    // Everything checks out: rebuild the states, then wire up transitions
+    // once every target exists.
+    const states = doc.states.map((entry) => ({
+      id: entry.id,
+      name: entry.name,
+      x: entry.x,
+      y: entry.y,
+      radius: 30,
+      isStart: entry.isStart === true,
+      isAccept: entry.isAccept === true,
+      transitions: {},
+      output: machine === "moore" && entry.output ? entry.output : null,
+      outputs: machine === "mealy" ? { ...entry.outputs } : {},
+      stackOps: {},
+    }));
+    const statesById = new Map(states.map((state) => [state.id, state]));
+    doc.states.forEach((entry) => {
+      const state = statesById.get(entry.id);
+      Object.keys(entry.transitions).forEach((symbol) => {
+        const target = entry.transitions[symbol];
+        state.transitions[symbol] = Array.isArray(target)
+          ? target.map((targetId) => statesById.get(targetId))
+          : statesById.get(target);
+      });
+      if (pushdown && entry.stackOps) {
+        Object.keys(entry.stackOps).forEach((symbol) => {
+          state.stackOps[symbol] = entry.stackOps[symbol].map((op) => ({
+            to: op.to,
+            pop: op.pop,
+            push: op.push.slice(),
+          }));
+        });
+      }
+    });
+
+    this.type = type;
+    this.machine = machine;
+    this.outputAlphabet = outputAlphabet;
+    this.stackAlphabet = stackAlphabet;
+    this.initialStack = initialStack;
+    this.acceptBy = acceptBy;
+    this.searchLimit = searchLimit;
+    this.alphabet = alphabet;
+    this.inputMode = inputMode;
+    this.tests = tests.map(({ input, expect }) => ({ input, expect }));
+    this.states = states;
+    this.startState = states.find((state) => state.isStart) || null;
+    this.currentState = null;
+    this.stateIdCounter = doc.stateIdCounter;
+  }
+
+  // Runs test cases and reports each one with the actual outcome and the
+  // state (or set of states) the run ended in.
+  runTests(tests = this.tests) {
+    return tests.map((test) => {
+      const result = this.simulate(test.input);
+      return {
+        input: test.input,
+        expect: test.expect,
+        accepted: result.accepted,
+        passed: result.accepted === test.expect,
+        finalState: result.finalState || null,
+        error: result.error || null,
+      };
+    });
+  }
+
+  // The language as a complete DFA over numbered states, for counting
+  // and enumeration: `symbols` in sorted order, `next[state][i]` the
+  // target on symbols[i], and which states accept. Nondeterministic
+  // automata are determinized first, and an extra dead state fills in
+  // missing transitions. With `accepted` false acceptance is flipped, so
+  // the same code counts and lists the rejected strings.
+  languageMachine(accepted = true) {
+    const source = this.isDeterministic() ? this : this.toDFA();
+    const symbols = Array.from(source.alphabet).sort();
+    const index = new Map(source.states.map((state, i) => [state, i]));
+    const dead = source.states.length;
+    const next = source.states.map((state) =>
+      symbols.map((symbol) => {
+        const [target] = source.getTargets(state, symbol);
+        return target ? index.get(target) : dead;
+      }),
+    );
+    next.push(symbols.map(() => dead));
+    const accepting = source.states.map((state) => state.isAccept === accepted);
+    accepting.push(!accepted);
+    const start = source.startState ? index.get(source.startState) : dead;
+    return { symbols, next, accepting, start };
+  }
+
+  // Number of accepted (or rejected) strings of each length from 0 to
+  // `maxLength`, as BigInts. Pushes a vector of path counts through the
+  // transition table one step per length.
+  countByLength(maxLength, accepted = true) {
+    const { next, accepting, start } = this.languageMachine(accepted);
+    let paths = next.map((row, state) => (state === start ? 1n : 0n));
+    const counts = [];
+    for (let length = 0; length <= maxLength; length++) {
+      counts.push(
+        paths.reduce(
+          (sum, count, state) => (accepting[state] ? sum + count : sum),
+          0n,
+        ),
+      );
+      const following = next.map(() => 0n);
+      paths.forEach((count, state) => {
+        if (count === 0n) return;
+        next[state].forEach((target) => {
+          following[target] += count;
+        });
+      });
+      paths = following;
+    }
+    return counts;
+  }
+
+  // Whether the accepted (or rejected) language is "empty", "finite" or
+  // "infinite". Finite languages also report their size and the length
+  // of their longest string. Only states on some path from the start to
+  // an accepting state matter: the language is infinite exactly when
+  // those states contain a cycle.
+  languageSize(accepted = true) {
+    const { next, accepting, start } = this.languageMachine(accepted);
+    const reachable = new Set([start]);
+    const queue = [start];
+    while (queue.length > 0) {
+      next[queue.shift()].forEach((target) => {
+        if (!reachable.has(target)) {
+          reachable.add(target);
+          queue.push(target);
+        }
+      });
+    }
+    const useful = new Set(
+      next.map((row, state) => state).filter((state) => accepting[state]),
+    );
+    let grew = true;
+    while (grew) {
+      grew = false;
+      next.forEach((row, state) => {
+        if (!useful.has(state) && row.some((target) => useful.has(target))) {
+          useful.add(state);
+          grew = true;
+        }
+      });
+    }
+    if (!useful.has(start)) return { kind: "empty", count: 0n, longest: null };
+
+    // Longest path to an accepting state; any cycle makes the language
+    // infinite. Depth first with an explicit stack, since a chain of
+    // states can be thousands long.
+    const longest = new Map();
+    const onPath = new Set([start]);
+    const frame = (state) => ({
+      state,
+      index: 0,
+      best: accepting[state] ? 0 : -Infinity,
+    });
+    const stack = [frame(start)];
+    while (stack.length > 0) {
+      const top = stack[stack.length - 1];
+      if (top.index < next[top.state].length) {
+        const target = next[top.state][top.index++];
+        if (!useful.has(target) || !reachable.has(target)) continue;
+        if (onPath.has(target)) {
+          return { kind: "infinite", count: null, longest: null };
+        }
+        if (longest.has(target)) {
+          top.best = Math.max(top.best, 1 + longest.get(target));
+        } else {
+          onPath.add(target);
+          stack.push(frame(target));
+        }
+        continue;
+      }
+      stack.pop();
+      onPath.delete(top.state);
+      longest.set(top.state, top.best);
+      if (stack.length > 0) {
+        const parent = stack[stack.length - 1];
+        parent.best = Math.max(parent.best, 1 + top.best);
+      }
+    }
+    const length = longest.get(start);
+    const count = this.countByLength(length, accepted).reduce(
+      (sum, n) => sum + n,
+      0n,
+    );
+    return { kind: "finite", count, longest: length };
+  }
+
+  // Lazily lists the accepted (or rejected) strings in shortlex order:
+  // by length, then alphabetically by symbol. Each length is walked
+  // depth first, skipping prefixes that cannot be completed to a string
+  // of exactly that length, so every string costs O(length) steps.
+  // Yields {tokens, string}; stops after the longest string of a finite
+  // language.
+  *enumerateStrings(accepted = true) {
+    const { symbols, next, accepting, start } = this.languageMachine(accepted);
+    const size = this.languageSize(accepted);
+    if (size.kind === "empty") return;
+
+    // live[k][state]: some string of length k leads from state to an
+    // accepting state.
+    const live = [accepting];
+    for (
+      let length = 0;
+      size.kind === "infinite" || length <= size.longest;
+      length++
+    ) {
+      while (live.length <= length) {
+        const previous = live[live.length - 1];
+        live.push(next.map((row) => row.some((target) => previous[target])));
+      }
+      if (!live[length][start]) continue;
+
+      const tokens = [];
+      const stack = [{ state: start, symbol: 0 }];
+      if (length === 0) {
+        yield { tokens: [], string: this.displayWord([]) };
+        continue;
+      }
+      while (stack.length > 0) {
+        const top = stack[stack.length - 1];
+        if (top.symbol === symbols.length) {
+          stack.pop();
+          tokens.pop();
+          continue;
+        }
+        const symbol = top.symbol++;
+        const target = next[top.state][symbol];
+        const remaining = length - stack.length;
+        if (!live[remaining][target]) continue;
+        tokens.push(symbols[symbol]);
+        if (remaining === 0) {
+          yield { tokens: tokens.slice(), string: this.displayWord(tokens) };
+          tokens.pop();
+        } else {
+          stack.push({ state: target, symbol: 0 });
+        }
+      }
+    }
+  }
+}
+
+// A copy of a state's stack operations. The operations themselves are
+// never changed in place, so the lists can share them.
+function copyStackOps(stackOps) {
+  const copy = {};
+  Object.keys(stackOps).forEach((symbol) => {
+    copy[symbol] = stackOps[symbol].slice();
+  });
+  return copy;
+}
+
+function sameStackOp(op, to, pop, push) {
+  return (
+    op.to === to &&
+    op.pop === pop &&
+    op.push.length === push.length &&
+    op.push.every((symbol, index) => symbol === push[index])
+  );
+}
+
+// Rounds coordinates for text output.
+function formatNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// Distance from point (px, py) to the segment (ax, ay)-(bx, by).
+function distanceToSegment(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  let t = 0;
+  if (lengthSquared > 0) {
+    t = ((px - ax) * dx + (py - ay) * dy) / lengthSquared;
+    t = Math.max(0, Math.min(1, t));
+  }
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+}
+
+function escapeLatex(text) {
+  const replacements = {
+    "\\": "\\textbackslash{}",
+    "{": "\\{",
+    "}": "\\}",
+    $: "\\$",
+    "&": "\\&",
+    "#": "\\#",
+    "%": "\\%",
+    _: "\\_",
+    "^": "\\^{}",
+    "~": "\\~{}",
+  };
+  return String(text).replace(/[\\{}$&#%_^~]/g, (ch) => replacements[ch]);
+}
+
+// Checks a list of alphabet symbols for problems with reading input
+// strings. Returns human-readable warnings; an empty list means
+// longest-match tokenization always finds the one correct split.
+//
+// If no symbol is a prefix of another the alphabet is a prefix code and
+// there is nothing to report. Otherwise we look for a string with two
+// different splits (Sardinas-Patterson): keep track of the "dangling
+// suffix" by which one candidate split runs ahead of the other, and try
+// to close the gap with another symbol. Separately, we look for a string
+// that can be split but that longest match reads wrongly (see
+// findGreedyFailure).
+function analyzeAlphabet(symbols) {
+  const warnings = [];
+  const overlaps = [];
+  symbols.forEach((a) => {
+    symbols.forEach((b) => {
+      if (a !== b && b.startsWith(a)) overlaps.push([a, b]);
+    });
+  });
+  if (overlaps.length === 0) return warnings;
+
+  const seen = new Set();
+  const queue = overlaps.map(([a, b]) => ({
+    suffix: b.slice(a.length),
+    text: b,
+  }));
+  let ambiguous = null;
+  while (queue.length > 0 && !ambiguous) {
+    const { suffix, text } = queue.shift();
+    if (seen.has(suffix)) continue;
+    seen.add(suffix);
+    const behind = text.slice(0, text.length - suffix.length);
+    for (const symbol of symbols) {
+      if (symbol === suffix) {
+        ambiguous = text;
+        break;
+      } else if (suffix.startsWith(symbol)) {
+        queue.push({ suffix: suffix.slice(symbol.length), text });
+      } else if (symbol.startsWith(suffix)) {
+        queue.push({
+          suffix: symbol.slice(suffix.length),
+          text: behind + symbol,
+        });
+      }
+    }
+  }
+
+  if (ambiguous) {
+    warnings.push(
+      `Ambiguous alphabet: "${ambiguous}" can be split into symbols in more than one way. Use space-separated input.`,
+    );
+  }
+  const failure = findGreedyFailure(symbols);
+  if (failure) {
+    warnings.push(
+      `Longest match can't read "${failure.join("")}", which splits as ${failure.join(" ")}. Use space-separated input.`,
+    );
+  }
+  overlaps.forEach(([a, b]) => {
+    warnings.push(
+      `'${a}' is a prefix of '${b}': longest match always reads '${b}' first`,
+    );
+  });
+  return warnings;
+}
+
+// Shortest sequence of symbols whose concatenation longest match fails
+// to split, or null. Builds candidate strings one symbol at a time while
+// longest match reads along behind: `pending` is the text it hasn't read
+// yet. Longest match can only pick a symbol once no longer symbol could
+// still match, so `pending` stays shorter than two symbols and the
+// search is finite.
+function findGreedyFailure(symbols) {
+  // Reads `pending` as far as the text seen so far decides; returns the
+  // unread rest, or null if longest match is stuck. At the end of the
+  // input every choice is decided.
+  const readAhead = (pending, atEnd) => {
+    for (;;) {
+      if (pending === "") return pending;
+      const waiting = symbols.some(
+        (symbol) =>
+          symbol.length > pending.length && symbol.startsWith(pending),
+      );
+      if (waiting && !atEnd) return pending;
+      const match = symbols
+        .filter((symbol) => pending.startsWith(symbol))
+        .sort((a, b) => b.length - a.length)[0];
+      if (!match) return null;
+      pending = pending.slice(match.length);
+    }
+  };
+
+  const seen = new Set();
+  const queue = [{ pending: "", split: [] }];
+  while (queue.length > 0) {
+    const { pending, split } = queue.shift();
+    for (const symbol of symbols) {
+      const next = split.concat(symbol);
+      const rest = readAhead(pending + symbol, false);
+      if (rest === null || readAhead(rest, true) !== "") return next;
+      if (!seen.has(rest)) {
+        seen.add(rest);
+        queue.push({ pending: rest, split: next });
+      }
+    }
+  }
+  return null;
+}
+
+// Automatic layout
+//
+// Both layouts work on plain {x, y} positions keyed by state id and
+// leave the automaton untouched, so the canvas can animate towards the
+// result. Spacing is sized for the default state radius with room for a
+// transition label between neighbours.
+
+const LAYOUT_RADIUS = 30;
+const LAYOUT_COLUMN_GAP = 170;
+const LAYOUT_ROW_GAP = 110;
+// States closer than this to an edge they are not part of are pushed
+// aside so the edge doesn't run through them.
+const LAYOUT_EDGE_CLEARANCE = LAYOUT_RADIUS + 16;
+
+// States plus the undirected, loop-free edges between them as pairs of
+// ids, and directed successor lists for the BFS.
+function layoutGraph(dfa) {
+  const edges = [];
+  const seen = new Set();
+  const successors = new Map(dfa.states.map((state) => [state.id, []]));
+  dfa.forEachTransition((from, symbol, to) => {
+    if (from === to) return;
+    if (!successors.get(from.id).includes(to.id)) {
+      successors.get(from.id).push(to.id);
+    }
+    const key = from.id < to.id ? `${from.id}-${to.id}` : `${to.id}-${from.id}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      edges.push([from.id, to.id]);
+    }
+  });
+  return { ids: dfa.states.map((state) => state.id), edges, successors };
+}
+
+function layeredLayout(dfa, { ids, edges, successors }) {
+  // Columns by BFS distance. States the start state cannot reach get
+  // columns of their own further right.
+  const layerOf = new Map();
+  const layers = [];
+  const roots = dfa.startState
+    ? [dfa.startState.id, ...ids.filter((id) => id !== dfa.startState.id)]
+    : ids;
+  roots.forEach((root) => {
+    if (layerOf.has(root)) return;
+    const base = layers.length;
+    const queue = [root];
+    layerOf.set(root, base);
+    while (queue.length > 0) {
+      const id = queue.shift();
+      const layer = layerOf.get(id);
+      while (layers.length <= layer) layers.push([]);
+      layers[layer].push(id);
+      successors.get(id).forEach((next) => {
+        if (!layerOf.has(next)) {
+          layerOf.set(next, layer + 1);
+          queue.push(next);
+        }
+      });
+    }
+  });
+
+  // Order each column by the barycenter of its neighbours, sweeping
+  // right and then left, and keep the order with the fewest crossings.
+  const neighbours = new Map(ids.map((id) => [id, []]));
+  edges.forEach(([a, b]) => {
+    neighbours.get(a).push(b);
+    neighbours.get(b).push(a);
+  });
+  const rank = new Map();
+  const updateRank = () =>
+    layers.forEach((layer) =>
+      layer.forEach((id, index) => rank.set(id, (index + 0.5) / layer.length)),
+    );
+  const crossings = () => {
+    let count = 0;
+    const between = edges
+      .filter(([a, b]) => Math.abs(layerOf.get(a) - layerOf.get(b)) === 1)
+      .map(([a, b]) => (layerOf.get(a) < layerOf.get(b) ? [a, b] : [b, a]));
+    between.forEach(([a, b], i) => {
+      between.slice(i + 1).forEach(([c, d]) => {
+        if (layerOf.get(a) !== layerOf.get(c)) return;
+        if ((rank.get(a) - rank.get(c)) * (rank.get(b) - rank.get(d)) < 0) {
+          count++;
+        }
+      });
+    });
+    return count;
+  };
+
+  updateRank();
+  let best = layers.map((layer) => layer.slice());
+  let fewest = crossings();
+  for (let sweep = 0; sweep < 8 && fewest > 0; sweep++) {
+    const order =
+      sweep % 2 === 0
+        ? layers.map((layer, index) => index)
+        : layers.map((layer, index) => layers.length - 1 - index);
+    order.forEach((index) => {
+      const barycenter = new Map(
+        layers[index].map((id) => {
+          const others = neighbours
+            .get(id)
+            .filter((other) => layerOf.get(other) !== index);
+          const value =
+            others.length === 0
+              ? rank.get(id)
+              : others.reduce((sum, other) => sum + rank.get(other), 0) /
+                others.length;
+          return [id, value];
+        }),
+      );
+      layers[index].sort((a, b) => barycenter.get(a) - barycenter.get(b));
+      updateRank();
+    });
+    const count = crossings();
+    if (count < fewest) {
+      fewest = count;
+      best = layers.map((layer) => layer.slice());
+    }
+  }
+
+  const positions = new Map();
+  best.forEach((layer, column) => {
+    layer.forEach((id, row) => {
+      positions.set(id, {
+        x: column * LAYOUT_COLUMN_GAP,
+        y: (row - (layer.length - 1) / 2) * LAYOUT_ROW_GAP,
+      });
+    });
+  });
+
+  // Edges that skip a column, or join two states of the same column,
+  // may run through the states in between. Nudge those states up or down
+  // their column, away from the edge, keeping the column spacing. Dense
+  // graphs can't always be cleared, so this gives up after a few passes.
+  for (let pass = 0; pass < 4; pass++) {
+    let moved = false;
+    edges.forEach(([a, b]) => {
+      const from = positions.get(a);
+      const to = positions.get(b);
+      positions.forEach((position, id) => {
+        if (id === a || id === b) return;
+        const distance = distanceToSegment(
+          position.x,
+          position.y,
+          from.x,
+          from.y,
+          to.x,
+          to.y,
+        );
+        if (distance >= LAYOUT_EDGE_CLEARANCE) return;
+        const t =
+          to.x === from.x ? 0.5 : (position.x - from.x) / (to.x - from.x);
+        const edgeY = from.y + (to.y - from.y) * Math.min(Math.max(t, 0), 1);
+        const direction = position.y < edgeY ? -1 : 1;
+        position.y += direction * (LAYOUT_EDGE_CLEARANCE - distance + 1);
+        moved = true;
+      });
+    });
+    if (!moved) break;
+    best.forEach((layer) => {
+      const column = layer
+        .map((id) => positions.get(id))
+        .sort((p, q) => p.y - q.y);
+      const center = column.reduce((sum, p) => sum + p.y, 0) / column.length;
+      for (let i = 1; i < column.length; i++) {
+        column[i].y = Math.max(column[i].y, column[i - 1].y + LAYOUT_ROW_GAP);
+      }
+      const shift =
+        center - column.reduce((sum, p) => sum + p.y, 0) / column.length;
+      column.forEach((p) => {
+        p.y += shift;
+      });
+    });
+  }
+  return positions;
+}
+
+// Fruchterman-Reingold spring embedder. Edges pull their states
+// together, all states push each other apart, and edge midpoints (where
+// the labels go) push away states that are not on the edge.
+function forceLayout({ ids, edges }, initial) {
+  const k = LAYOUT_COLUMN_GAP * 0.8;
+  const positions = new Map(
+    ids.map((id, index) => {
+      const { x, y } = initial.get(id);
+      // Tiny deterministic offsets so no two states start on one spot.
+      return [id, { x: x + (index % 3), y: y + (index % 5) }];
+    }),
+  );
+  let temperature = k;
+  for (let iteration = 0; iteration < 300; iteration++) {
+    const force = new Map(ids.map((id) => [id, { x: 0, y: 0 }]));
+    const push = (id, dx, dy, amount) => {
+      const distance = Math.max(Math.hypot(dx, dy), 0.01);
+      force.get(id).x += (dx / distance) * amount;
+      force.get(id).y += (dy / distance) * amount;
+    };
+
+    ids.forEach((a, i) => {
+      ids.slice(i + 1).forEach((b) => {
+        const p = positions.get(a);
+        const q = positions.get(b);
+        const distance = Math.max(Math.hypot(p.x - q.x, p.y - q.y), 1);
+        const repulsion = (k * k) / distance;
+        push(a, p.x - q.x, p.y - q.y, repulsion);
+        push(b, q.x - p.x, q.y - p.y, repulsion);
+      });
+    });
+    edges.forEach(([a, b]) => {
+      const p = positions.get(a);
+      const q = positions.get(b);
+      const distance = Math.hypot(p.x - q.x, p.y - q.y);
+      const attraction = (distance * distance) / k;
+      push(a, q.x - p.x, q.y - p.y, attraction);
+      push(b, p.x - q.x, p.y - q.y, attraction);
+
+      const midX = (p.x + q.x) / 2;
+      const midY = (p.y + q.y) / 2;
+      ids.forEach((id) => {
+        if (id === a || id === b) return;
+        const r = positions.get(id);
+        const away = Math.max(Math.hypot(r.x - midX, r.y - midY), 1);
+        if (away < k) push(id, r.x - midX, r.y - midY, (k * k) / away / 2);
+      });
+    });
+
+    ids.forEach((id) => {
+      const { x, y } = force.get(id);
+      const length = Math.hypot(x, y);
+      if (length === 0) return;
+      const step = Math.min(length, temperature);
+      positions.get(id).x += (x / length) * step;
+      positions.get(id).y += (y / length) * step;
+    });
+    temperature = Math.max(temperature * 0.97, 1);
+  }
+
+  // Spring layouts can still leave states touching; separate them.
+  const minimum = LAYOUT_RADIUS * 3;
+  for (let pass = 0; pass < 20; pass++) {
+    let moved = false;
+    ids.forEach((a, i) => {
+      ids.slice(i + 1).forEach((b) => {
+        const p = positions.get(a);
+        const q = positions.get(b);
+        const distance = Math.max(Math.hypot(p.x - q.x, p.y - q.y), 0.01);
+        if (distance >= minimum) return;
+        const shift = (minimum - distance) / 2;
+        const dx = ((p.x - q.x) / distance) * shift;
+        const dy = ((p.y - q.y) / distance) * shift;
+        p.x += dx;
+        p.y += dy;
+        q.x -= dx;
+        q.y -= dy;
+        moved = true;
+      });
+    });
+    if (!moved) break;
+  }
+  return positions;
+}
+
+// Scales a layout down to fit `bounds` if it can do so without
+// crowding the states, then centres it. The margin leaves room for the
+// start arrow, self-loops and labels.
+function fitLayout(positions, bounds, margin = 70) {
+  const points = Array.from(positions.values());
+  if (points.length === 0) return positions;
+  const minX = Math.min(...points.map((p) => p.x));
+  const maxX = Math.max(...points.map((p) => p.x));
+  const minY = Math.min(...points.map((p) => p.y));
+  const maxY = Math.max(...points.map((p) => p.y));
+  const width = maxX - minX;
+  const height = maxY - minY;
+
+  let closest = Infinity;
+  points.forEach((p, i) => {
+    points.slice(i + 1).forEach((q) => {
+      closest = Math.min(closest, Math.hypot(p.x - q.x, p.y - q.y));
+    });
+  });
+  const availableWidth = bounds.width - 2 * margin;
+  const availableHeight = bounds.height - 2 * margin;
+  const scale = Math.max(
+    Math.min(
+      1,
+      width > 0 ? availableWidth / width : 1,
+      height > 0 ? availableHeight / height : 1,
+    ),
+    Number.isFinite(closest) ? Math.min(1, (LAYOUT_RADIUS * 3) / closest) : 1,
+  );
+
+  const offsetX =
+    bounds.x + margin + Math.max(0, (availableWidth - width * scale) / 2);
+  const offsetY =
+    bounds.y + margin + Math.max(0, (availableHeight - height * scale) / 2);
+  const fitted = new Map();
+  positions.forEach((p, id) => {
+    fitted.set(id, {
+      x: offsetX + (p.x - minX) * scale,
+      y: offsetY + (p.y - minY) * scale,
+    });
+  });
+  return fitted;
+}
+
+// Regular expressions
+//
+// Syntax: `|` for union, juxtaposition for concatenation, postfix `*`,
+// `+` and `?`, parentheses, `ε` for the empty string and `∅` for the
+// empty language. Whitespace is ignored. Symbols are matched against the
+// alphabet, longest first, so multi-character symbols work too.
+
+const REGEX_OPERATORS = ["|", "*", "+", "?", "(", ")", EPSILON, "∅"];
+const REGEX_EPSILON = { type: "epsilon" };
+const REGEX_EMPTY = { type: "empty" };
+
+function tokenizeRegex(source, alphabet) {
+  const symbols = Array.from(alphabet).sort((a, b) => b.length - a.length);
+  const clash = symbols.find((symbol) =>
+    REGEX_OPERATORS.some((op) => symbol.includes(op)),
+  );
+  if (clash) {
+    throw new Error(`Alphabet symbol '${clash}' clashes with regex syntax`);
+  }
+
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    if (/\s/.test(source[i])) {
+      i++;
+      continue;
+    }
+    if (REGEX_OPERATORS.includes(source[i])) {
+      tokens.push({ op: source[i], position: i + 1 });
+      i++;
+      continue;
+    }
+    const symbol = symbols.find((sym) => source.startsWith(sym, i));
+    if (!symbol) {
+      throw new Error(`Unknown symbol '${source[i]}' at position ${i + 1}`);
+    }
+    tokens.push({ symbol, position: i + 1 });
+    i += symbol.length;
+  }
+  return tokens;
+}
+
+// Recursive-descent parser producing a small AST:
+// { type: "symbol" | "epsilon" | "empty" | "union" | "concat" |
+//   "star" | "plus" | "optional", ... }
+function parseRegex(source, alphabet) {
+  const tokens = tokenizeRegex(source, alphabet);
+  if (tokens.length === 0) {
+    throw new Error("Enter a regular expression");
+  }
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const describe = (token) =>
+    token
+      ? `'${token.op || token.symbol}' at position ${token.position}`
+      : "end of input";
+
+  const parseUnion = () => {
+    let node = parseConcat();
+    while (peek() && peek().op === "|") {
+      pos++;
+      node = { type: "union", left: node, right: parseConcat() };
+    }
+    return node;
+  };
+
+  const startsAtom = (token) =>
+    token && (token.symbol || ["(", EPSILON, "∅"].includes(token.op));
+
+  const parseConcat = () => {
+    if (!startsAtom(peek())) {
+      throw new Error(`Expected a symbol but found ${describe(peek())}`);
+    }
+    let node = parseRepeat();
+    while (startsAtom(peek())) {
+      node = { type: "concat", left: node, right: parseRepeat() };
+    }
+    return node;
+  };
+
+  const parseRepeat = () => {
+    let node = parseAtom();
+    const postfix = { "*": "star", "+": "plus", "?": "optional" };
+    while (peek() && postfix[peek().op]) {
+      node = { type: postfix[peek().op], child: node };
+      pos++;
+    }
+    return node;
+  };
+
+  const parseAtom = () => {
+    const token = tokens[pos++];
+    if (token.symbol) return { type: "symbol", symbol: token.symbol };
+    if (token.op === EPSILON) return REGEX_EPSILON;
+    if (token.op === "∅") return REGEX_EMPTY;
+    const node = parseUnion();
+    if (!peek() || peek().op !== ")") {
+      throw new Error(
+        `Expected ')' to close '(' at position ${token.position} but found ${describe(peek())}`,
+      );
+    }
+    pos++;
+    return node;
+  };
+
+  const ast = parseUnion();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected ${describe(peek())}`);
+  }
+  return ast;
+}
+
+// Adds the Thompson fragment for `node` to the ε-NFA `nfa` and returns
+// its entry and exit states.
+function buildThompson(nfa, node) {
+  const start = nfa.addState(0, 0);
+  const end = nfa.addState(0, 0);
+  const link = (from, to, symbol = EPSILON) =>
+    nfa.addTransition(from, to, symbol);
+
+  switch (node.type) {
+    case "symbol":
+      link(start, end, node.symbol);
+      break;
+    case "epsilon":
+      link(start, end);
+      break;
+    case "empty":
+      break;
+    case "concat": {
+      const left = buildThompson(nfa, node.left);
+      const right = buildThompson(nfa, node.right);
+      link(start, left.start);
+      link(left.end, right.start);
+      link(right.end, end);
+      break;
+    }
+    case "union": {
+      const left = buildThompson(nfa, node.left);
+      const right = buildThompson(nfa, node.right);
+      link(start, left.start);
+      link(start, right.start);
+      link(left.end, end);
+      link(right.end, end);
+      break;
+    }
+    default: {
+      // star, plus and optional differ only in which of the two
+      // bypass edges they add.
+      const inner = buildThompson(nfa, node.child);
+      link(start, inner.start);
+      link(inner.end, end);
+      if (node.type !== "plus") link(start, end);
+      if (node.type !== "optional") link(inner.end, inner.start);
+    }
+  }
+  return { start, end };
+}
+
+// Smart constructors used by state elimination. They apply the usual
+// identities for ε and ∅ so the resulting expression stays readable.
+function regexUnion(left, right) {
+  if (left.type === "empty") return right;
+  if (right.type === "empty") return left;
+  if (regexToString(left, " ") === regexToString(right, " ")) return left;
+  if (left.type === "epsilon") return regexOptional(right);
+  if (right.type === "epsilon") return regexOptional(left);
+  return { type: "union", left, right };
+}
+
+function regexConcat(left, right) {
+  if (left.type === "empty" || right.type === "empty") return REGEX_EMPTY;
+  if (left.type === "epsilon") return right;
+  if (right.type === "epsilon") return left;
+  return { type: "concat", left, right };
+}
+
+function regexStar(node) {
+  if (node.type === "empty" || node.type === "epsilon") return REGEX_EPSILON;
+  if (node.type === "star") return node;
+  if (node.type === "plus" || node.type === "optional") {
+    return regexStar(node.child);
+  }
+  return { type: "star", child: node };
+}
+
+function regexOptional(node) {
+  if (["epsilon", "star", "optional"].includes(node.type)) return node;
+  if (node.type === "plus") return regexStar(node.child);
+  return { type: "optional", child: node };
+}
+
+// Prints an AST with only the parentheses precedence requires.
+// Concatenated parts are joined with `separator`, which needs to be a
+// space when the alphabet has multi-character symbols: over {a, b, ab}
+// "a" followed by "b" must not print as the symbol "ab".
+function regexToString(node, separator = "") {
+  const precedence = { union: 0, concat: 1, star: 2, plus: 2, optional: 2 };
+  const wrap = (child, min) => {
+    const text = regexToString(child, separator);
+    return (precedence[child.type] ?? 3) < min ? `(${text})` : text;
+  };
+
+  switch (node.type) {
+    case "symbol":
+      return node.symbol;
+    case "epsilon":
+      return EPSILON;
+    case "empty":
+      return "∅";
+    case "union":
+      return `${wrap(node.left, 0)}|${wrap(node.right, 0)}`;
+    case "concat":
+      return `${wrap(node.left, 1)}${separator}${wrap(node.right, 1)}`;
+    case "star":
+      return `${wrap(node.child, 3)}*`;
+    case "plus":
+      return `${wrap(node.child, 3)}+`;
+    case "optional":
+      return `${wrap(node.child, 3)}?`;
+  }
+  throw new Error(`Unknown regex node '${node.type}'`);
+}
+
+// Text import
+//
+// Automata can be pasted in as a transition table or formal 5-tuple, a
+// subset of Graphviz DOT, or a JFLAP .jff file. Each parser produces a
+// plain description (states, transitions, alphabet) which
+// buildImportedAutomaton turns into a DFA of the narrowest type that
+// fits. Errors carry the line and column of the offending text.
+
+// Spellings accepted for the empty string in imported labels.
+const EPSILON_SPELLINGS = ["ε", "λ", "eps", "epsilon", "lambda"];
+
+class ParseError extends Error {
+  constructor(message, line, column) {
+    super(`Line ${line}, column ${column}: ${message}`);
+    this.name = "ParseError";
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// Line and column (both from 1) of an index into `text`.
+function positionAt(text, index) {
+  const before = text.slice(0, index);
+  const line = before.split("\n").length;
+  return { line, column: index - before.lastIndexOf("\n") };
+}
+
+function parseErrorAt(text, index, message) {
+  const { line, column } = positionAt(text, index);
+  return new ParseError(message, line, column);
+}
+
+// Guesses the format of pasted text.
+function detectImportFormat(text) {
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith("<")) return "jflap";
+  if (/^(strict\s+)?(di)?graph\b/i.test(trimmed)) return "dot";
+  return "table";
+}
+
+function parseAutomatonText(text, format = detectImportFormat(text)) {
+  if (format === "dot") return buildImportedAutomaton(parseDot(text));
+  if (format === "jflap") return buildImportedAutomaton(parseJflap(text));
+  if (format === "table") return buildImportedAutomaton(parseTable(text));
+  throw new Error(`Unknown import format '${format}'`);
+}
+
+// Reads an automaton file: a JSON document as saved by the editor, or
+// any of the text formats.
+function readAutomatonFile(text) {
+  if (!text.trimStart().startsWith("{")) return parseAutomatonText(text).dfa;
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  const dfa = new DFA();
+  dfa.load(doc);
+  return dfa;
+}
+
+// Turns a parsed description into an automaton. `states` are
+// {name, x, y, isStart, isAccept} with optional positions; transitions
+// refer to states by index. The result is a DFA when every state has at
+// most one target per symbol, otherwise an NFA or ε-NFA.
+function buildImportedAutomaton({ states, transitions, alphabet }) {
+  const result = new DFA();
+  result.setType("enfa");
+  const symbols = alphabet.filter((symbol) => symbol !== EPSILON);
+  if (symbols.length > 0) result.alphabet = new Set(symbols);
+
+  const created = states.map((entry) => {
+    const state = result.addState(entry.x ?? 0, entry.y ?? 0, entry.name);
+    state.isAccept = entry.isAccept;
+    return state;
+  });
+  const start = states.findIndex((entry) => entry.isStart);
+  if (start >= 0) result.setStartState(created[start]);
+  transitions.forEach(({ from, to, symbol }) => {
+    result.addTransition(created[from], created[to], symbol);
+  });
+
+  ["nfa", "dfa"].forEach((type) => {
+    try {
+      result.setType(type);
+    } catch (err) {
+      // Keep the wider type.
+    }
+  });
+  return {
+    dfa: result,
+    hasPositions:
+      states.length > 0 &&
+      states.every(
+        (entry) => Number.isFinite(entry.x) && Number.isFinite(entry.y),
+      ),
+  };
+}
+
+function normalizeImportedSymbol(symbol) {
+  return EPSILON_SPELLINGS.includes(symbol.toLowerCase()) ? EPSILON : symbol;
+}
+
+// Transition tables and 5-tuples
+//
+// A table has a header row of symbols followed by one row per state:
+//
+//       0    1
+//   ->q0  q1   q0
+//    *q1  q1   {q0,q2}
+//
+// `->` (or `>`) marks the start state, `*` accepting states, `-` an
+// empty cell and `{...}` a set of targets. A column headed ε holds
+// ε-transitions. Lines starting with # are comments.
+//
+// The 5-tuple form lists the components one per line:
+//
+//   Q = {q0, q1}
+//   Σ = {0, 1}
+//   δ(q0, 0) = q1
+//   q0 = q0
+//   F = {q1}
+
+const TUPLE_LINE = /^\s*(Q|Σ|Sigma|F|q0|start|δ|delta)\s*[=(]/i;
+
+function parseTable(text) {
+  const lines = text.split("\n").map((content, index) => ({
+    content: content.replace(/\r$/, ""),
+    number: index + 1,
+  }));
+  const meaningful = lines.filter(
+    ({ content }) => content.trim() !== "" && !content.trim().startsWith("#"),
+  );
+  if (meaningful.length === 0) {
+    throw new ParseError("Nothing to import", 1, 1);
+  }
+  if (meaningful.some(({ content }) => TUPLE_LINE.test(content))) {
+    return parseTuple(meaningful);
+  }
+  return parseTransitionTable(meaningful);
+}
+
+// Splits a line into cells, keeping `{...}` sets together. Cells may
+// also be separated by `|`.
+function tableCells(content) {
+  return Array.from(content.matchAll(/\{[^}]*\}?|[^\s|]+/g), (match) => ({
+    text: match[0],
+    column: match.index + 1,
+  }));
+}
+
+// The names in a target cell: `-` or `∅` for none, `{a, b}` for a set.
+function parseTargetCell(cell, lineNumber) {
+  const text = cell.text;
+  if (text === "-" || text === "∅" || text === "{}") return [];
+  if (text.startsWith("{")) {
+    if (!text.endsWith("}")) {
+      throw new ParseError("Unclosed '{'", lineNumber, cell.column);
+    }
+    return text
+      .slice(1, -1)
+      .split(",")
+      .map((name) => name.trim())
+      .filter((name) => name !== "");
+  }
+  return [text];
+}
+
+function parseTransitionTable(lines) {
+  const [header, ...rows] = lines;
+  let symbolCells = tableCells(header.content);
+  if (
+    symbolCells.length > 0 &&
+    ["δ", "delta", "state", "states", "q", "\\"].includes(
+      symbolCells[0].text.toLowerCase(),
+    )
+  ) {
+    symbolCells = symbolCells.slice(1);
+  }
+  if (symbolCells.length === 0) {
+    throw new ParseError("Expected a header row of symbols", header.number, 1);
+  }
+  const symbols = symbolCells.map((cell) => normalizeImportedSymbol(cell.text));
+  symbols.forEach((symbol, index) => {
+    if (symbols.indexOf(symbol) !== index) {
+      throw new ParseError(
+        `Duplicate symbol '${symbol}'`,
+        header.number,
+        symbolCells[index].column,
+      );
+    }
+  });
+
+  const states = [];
+  const indexByName = new Map();
+  const parsedRows = rows.map(({ content, number }) => {
+    const cells = tableCells(content);
+    const marker = cells[0].text.match(/^((?:->|→|>|\*)*)(.*)$/);
+    const name = marker[2];
+    if (name === "") {
+      throw new ParseError("Expected a state name", number, cells[0].column);
+    }
+    if (indexByName.has(name)) {
+      throw new ParseError(
+        `State '${name}' is listed twice`,
+        number,
+        cells[0].column,
+      );
+    }
+    if (cells.length - 1 !== symbols.length) {
+      throw new ParseError(
+        `Expected ${symbols.length} cells after the state name but found ${cells.length - 1}`,
+        number,
+        cells[0].column,
+      );
+    }
+    indexByName.set(name, states.length);
+    states.push({
+      name,
+      isStart: /->|→|>/.test(marker[1]),
+      isAccept: marker[1].includes("*"),
+    });
+    return { cells: cells.slice(1), number };
+  });
+
+  if (states.filter((state) => state.isStart).length > 1) {
+    const row = parsedRows[states.findLastIndex((state) => state.isStart)];
+    throw new ParseError("More than one start state", row.number, 1);
+  }
+  if (states.length > 0 && !states.some((state) => state.isStart)) {
+    states[0].isStart = true;
+  }
+
+  const transitions = [];
+  parsedRows.forEach(({ cells, number }, from) => {
+    cells.forEach((cell, column) => {
+      parseTargetCell(cell, number).forEach((name) => {
+        if (!indexByName.has(name)) {
+          throw new ParseError(`Unknown state '${name}'`, number, cell.column);
+        }
+        transitions.push({
+          from,
+          to: indexByName.get(name),
+          symbol: symbols[column],
+        });
+      });
+    });
+  });
+
+  return { states, transitions, alphabet: symbols };
+}
+
+function parseTuple(lines) {
+  const declared = {};
+  const deltas = [];
+
+  // Items of `{a, b}` or a single bare item, with their columns.
+  const parseItems = (content, offset, number) => {
+    const value = content.slice(offset);
+    const start = offset + value.search(/\S/);
+    if (value.trim() === "") {
+      throw new ParseError("Expected a value", number, offset + 1);
+    }
+    if (!value.trim().startsWith("{")) {
+      return [{ text: value.trim(), column: start + 1 }];
+    }
+    const close = content.indexOf("}", start);
+    if (close < 0) throw new ParseError("Unclosed '{'", number, start + 1);
+    if (content.slice(close + 1).trim() !== "") {
+      throw new ParseError("Unexpected text after '}'", number, close + 2);
+    }
+    return Array.from(
+      content.slice(start + 1, close).matchAll(/[^,\s]+/g),
+      (match) => ({ text: match[0], column: start + 2 + match.index }),
+    );
+  };
+
+  lines.forEach(({ content, number }) => {
+    const delta = content.match(
+      /^(\s*(?:δ|delta)\s*\(\s*)([^,\s]+)(\s*,\s*)([^)\s]+)\s*\)\s*=/i,
+    );
+    if (delta) {
+      deltas.push({
+        from: { text: delta[2], column: delta[1].length + 1 },
+        symbol: {
+          text: normalizeImportedSymbol(delta[4]),
+          column: delta[1].length + delta[2].length + delta[3].length + 1,
+        },
+        targets: parseItems(content, delta[0].length, number),
+        number,
+      });
+      return;
+    }
+    const assignment = content.match(/^\s*(Q|Σ|Sigma|F|q0|start)\s*=/i);
+    if (!assignment) {
+      throw new ParseError(
+        "Expected Q, Σ, δ(state, symbol), q0 or F",
+        number,
+        content.search(/\S/) + 1,
+      );
+    }
+    const name = assignment[1];
+    let key = name.toUpperCase();
+    if (/^(Σ|sigma)$/i.test(name)) key = "Σ";
+    if (/^(q0|start)$/i.test(name)) key = "q0";
+    if (declared[key]) {
+      throw new ParseError(`${key} is given twice`, number, 1);
+    }
+    declared[key] = {
+      items: parseItems(content, assignment[0].length, number),
+      number,
+    };
+  });
+
+  if (!declared.Q) throw new ParseError("Missing Q = {...}", 1, 1);
+  if (!declared.Σ) throw new ParseError("Missing Σ = {...}", 1, 1);
+
+  const states = [];
+  const indexByName = new Map();
+  declared.Q.items.forEach(({ text, column }) => {
+    if (indexByName.has(text)) {
+      throw new ParseError(
+        `State '${text}' is listed twice`,
+        declared.Q.number,
+        column,
+      );
+    }
+    indexByName.set(text, states.length);
+    states.push({ name: text, isStart: false, isAccept: false });
+  });
+  const lookup = (item, number) => {
+    if (!indexByName.has(item.text)) {
+      throw new ParseError(`Unknown state '${item.text}'`, number, item.column);
+    }
+    return indexByName.get(item.text);
+  };
+
+  const alphabet = declared.Σ.items.map(({ text, column }) => {
+    const symbol = normalizeImportedSymbol(text);
+    if (symbol === EPSILON) {
+      throw new ParseError(
+        `'${text}' is reserved and cannot be in Σ`,
+        declared.Σ.number,
+        column,
+      );
+    }
+    return symbol;
+  });
+
+  if (declared.q0) {
+    if (declared.q0.items.length !== 1) {
+      throw new ParseError("Expected one start state", declared.q0.number, 1);
+    }
+    states[lookup(declared.q0.items[0], declared.q0.number)].isStart = true;
+  } else if (states.length > 0) {
+    states[0].isStart = true;
+  }
+  if (declared.F) {
+    declared.F.items.forEach((item) => {
+      states[lookup(item, declared.F.number)].isAccept = true;
+    });
+  }
+
+  const transitions = [];
+  deltas.forEach(({ from, symbol, targets, number }) => {
+    if (symbol.text !== EPSILON && !alphabet.includes(symbol.text)) {
+      throw new ParseError(
+        `Symbol '${symbol.text}' is not in Σ`,
+        number,
+        symbol.column,
+      );
+    }
+    const fromIndex = lookup(from, number);
+    targets
+      .filter((item) => item.text !== "∅")
+      .forEach((item) => {
+        transitions.push({
+          from: fromIndex,
+          to: lookup(item, number),
+          symbol: symbol.text,
+        });
+      });
+  });
+
+  return { states, transitions, alphabet };
+}
+
+// Graphviz DOT
+//
+// Supports a single digraph with node, edge and attribute statements
+// (no subgraphs or ports). Edge labels are comma-separated symbols.
+// Nodes drawn as doublecircle accept; an edge from an invisible node
+// (shape none, point or plaintext, or style invis) marks the start
+// state. Positions come from `pos` attributes in inches, as written by
+// toDot().
+
+const DOT_HIDDEN_SHAPES = ["none", "point", "plaintext", "plain"];
+
+function tokenizeDot(text) {
+  const tokens = [];
+  // Groups: skipped whitespace and comments, quoted string, operator,
+  // bare identifier or number.
+  const pattern =
+    /(\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|^#[^\n]*)|"((?:[^"\\]|\\[\s\S])*)"|(->|--|[{}[\]=;,:])|(-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/my;
+  let index = 0;
+  while (index < text.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (!match) {
+      const what =
+        text[index] === "<" ? "HTML labels are" : `'${text[index]}' is`;
+      throw parseErrorAt(text, index, `${what} not supported here`);
+    }
+    const [source, skipped, quoted, operator, bare] = match;
+    if (quoted !== undefined) {
+      tokens.push({
+        kind: "id",
+        value: quoted.replace(/\\(["\\])/g, "$1"),
+        index,
+      });
+    } else if (operator) {
+      tokens.push({ kind: operator, value: operator, index });
+    } else if (bare) {
+      tokens.push({ kind: "id", value: bare, index });
+    }
+    index += source.length;
+  }
+  tokens.push({ kind: "end", value: "end of input", index: text.length });
+  return tokens;
+}
+
+function parseDot(text) {
+  const tokens = tokenizeDot(text);
+  let position = 0;
+  const peek = () => tokens[position];
+  const fail = (token, message) => {
+    throw parseErrorAt(text, token.index, message);
+  };
+  const expect = (kind) => {
+    const token = tokens[position];
+    if (token.kind !== kind) {
+      fail(token, `Expected '${kind}' but found '${token.value}'`);
+    }
+    position++;
+    return token;
+  };
+  const accept = (kind) => {
+    if (peek().kind !== kind) return false;
+    position++;
+    return true;
+  };
+  const keyword = (word) =>
+    peek().kind === "id" && peek().value.toLowerCase() === word;
+
+  const attributeList = () => {
+    const attributes = {};
+    while (accept("[")) {
+      while (!accept("]")) {
+        const key = expect("id").value;
+        expect("=");
+        attributes[key] = expect("id").value;
+        accept(",") || accept(";");
+      }
+    }
+    return attributes;
+  };
+
+  if (keyword("strict")) position++;
+  if (keyword("graph")) {
+    fail(peek(), "Only directed graphs (digraph) are supported");
+  }
+  if (!keyword("digraph")) fail(peek(), "Expected 'digraph'");
+  position++;
+  if (peek().kind === "id") position++;
+  expect("{");
+
+  const nodes = new Map();
+  const edges = [];
+  let nodeDefaults = {};
+  let edgeDefaults = {};
+  const node = (token) => {
+    if (!nodes.has(token.value)) {
+      nodes.set(token.value, { attributes: { ...nodeDefaults }, token });
+    }
+    return nodes.get(token.value);
+  };
+
+  while (!accept("}")) {
+    const token = peek();
+    if (token.kind === "end") fail(token, "Expected '}'");
+    if (accept(";")) continue;
+    if (keyword("subgraph") || token.kind === "{") {
+      fail(token, "Subgraphs are not supported");
+    }
+    if (keyword("node") || keyword("edge") || keyword("graph")) {
+      const kind = token.value.toLowerCase();
+      position++;
+      const attributes = attributeList();
+      if (kind === "node") nodeDefaults = { ...nodeDefaults, ...attributes };
+      if (kind === "edge") edgeDefaults = { ...edgeDefaults, ...attributes };
+      continue;
+    }
+
+    const first = expect("id");
+    if (accept("=")) {
+      expect("id");
+      continue;
+    }
+    if (peek().kind === ":") fail(peek(), "Ports are not supported");
+    if (peek().kind === "--") {
+      fail(peek(), "Undirected edges ('--') are not supported");
+    }
+    const chain = [first];
+    while (accept("->")) chain.push(expect("id"));
+    const attributes = attributeList();
+    if (chain.length === 1) {
+      Object.assign(node(first).attributes, attributes);
+    } else {
+      chain.forEach(node);
+      for (let i = 0; i + 1 < chain.length; i++) {
+        edges.push({
+          from: chain[i].value,
+          to: chain[i + 1].value,
+          attributes: { ...edgeDefaults, ...attributes },
+          token: chain[i],
+        });
+      }
+    }
+  }
+  if (peek().kind !== "end") fail(peek(), "Unexpected text after the graph");
+
+  const isHidden = ({ attributes }) =>
+    DOT_HIDDEN_SHAPES.includes((attributes.shape || "").toLowerCase()) ||
+    (attributes.style || "").toLowerCase().includes("invis");
+
+  const states = [];
+  const indexById = new Map();
+  nodes.forEach((entry, id) => {
+    if (isHidden(entry)) return;
+    const state = {
+      name: entry.attributes.label || id,
+      isStart: false,
+      isAccept: (entry.attributes.shape || "").toLowerCase() === "doublecircle",
+    };
+    if (entry.attributes.pos) {
+      const pos = entry.attributes.pos.match(
+        /^\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*!?\s*$/,
+      );
+      if (!pos) fail(entry.token, `Invalid pos '${entry.attributes.pos}'`);
+      state.x = parseFloat(pos[1]) * 72;
+      state.y = -parseFloat(pos[2]) * 72;
+    }
+    indexById.set(id, states.length);
+    states.push(state);
+  });
+
+  const transitions = [];
+  const alphabet = [];
+  edges.forEach(({ from, to, attributes, token }) => {
+    if (isHidden(nodes.get(to))) {
+      fail(token, `Edge into the invisible node '${to}'`);
+    }
+    const target = states[indexById.get(to)];
+    if (isHidden(nodes.get(from))) {
+      if (states.some((state) => state.isStart && state !== target)) {
+        fail(token, "More than one start state");
+      }
+      target.isStart = true;
+      return;
+    }
+    if (attributes.label === undefined) {
+      fail(token, `Edge ${from} -> ${to} has no label`);
+    }
+    attributes.label.split(",").forEach((part) => {
+      const symbol = normalizeImportedSymbol(part.trim());
+      if (symbol === "")
+        fail(token, `Empty symbol in label '${attributes.label}'`);
+      if (symbol !== EPSILON && !alphabet.includes(symbol)) {
+        alphabet.push(symbol);
+      }
+      transitions.push({
+        from: indexById.get(from),
+        to: indexById.get(to),
+        symbol,
+      });
+    });
+  });
+
+  // Graphviz puts the origin at the bottom left; shift the layout so it
+  // sits just inside the top left of the canvas.
+  const placed = states.filter((state) => state.x !== undefined);
+  if (placed.length > 0) {
+    const minX = Math.min(...placed.map((state) => state.x));
+    const minY = Math.min(...placed.map((state) => state.y));
+    placed.forEach((state) => {
+      state.x += 80 - minX;
+      state.y += 80 - minY;
+    });
+  }
+
+  return { states, transitions, alphabet };
+}
+
+// JFLAP
+//
+// JFLAP saves finite automata as XML: <structure> holds <type>fa</type>
+// and an <automaton> (older versions put the states directly in
+// <structure>) with <state id name> elements containing <x>, <y>,
+// <initial/> and <final/>, and <transition> elements with <from>, <to>
+// and <read>. An empty <read/> is a λ-transition.
+
+// A small XML reader, enough for .jff files: elements, attributes, text
+// and the predefined entities. Returns the root element as
+// {name, attributes, children, text, index}.
+function parseXml(text) {
+  const entities = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+  const decode = (value, index) =>
+    value.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] === "#") {
+        return String.fromCodePoint(
+          entity[1].toLowerCase() === "x"
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10),
+        );
+      }
+      if (!(entity in entities)) {
+        throw parseErrorAt(text, index, `Unknown entity '${match}'`);
+      }
+      return entities[entity];
+    });
+
+  const root = { name: null, children: [], text: "" };
+  const stack = [root];
+  const tag =
+    /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+  let index = 0;
+  while (index < text.length) {
+    const current = stack[stack.length - 1];
+    if (text[index] !== "<") {
+      const end = text.indexOf("<", index);
+      const stop = end < 0 ? text.length : end;
+      current.text += decode(text.slice(index, stop), index);
+      index = stop;
+      continue;
+    }
+    const skip = [
+      ["<?", "?>"],
+      ["<!--", "-->"],
+      ["<![CDATA[", "]]>"],
+      ["<!", ">"],
+    ].find(([open]) => text.startsWith(open, index));
+    if (skip) {
+      const end = text.indexOf(skip[1], index);
+      if (end < 0) throw parseErrorAt(text, index, `Unclosed '${skip[0]}'`);
+      if (skip[0] === "<![CDATA[") {
+        current.text += text.slice(index + skip[0].length, end);
+      }
+      index = end + skip[1].length;
+      continue;
+    }
+
+    tag.lastIndex = index;
+    const match = tag.exec(text);
+    if (!match) throw parseErrorAt(text, index, "Malformed tag");
+    const [source, closing, name, attributeText, selfClosing] = match;
+    if (closing) {
+      if (current === root || current.name !== name) {
+        throw parseErrorAt(
+          text,
+          index,
+          current === root
+            ? `Unexpected </${name}>`
+            : `Expected </${current.name}> but found </${name}>`,
+        );
+      }
+      stack.pop();
+    } else {
+      const attributes = {};
+      for (const attribute of attributeText.matchAll(
+        /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g,
+      )) {
+        attributes[attribute[1]] = decode(attribute[2] ?? attribute[3], index);
+      }
+      const element = { name, attributes, children: [], text: "", index };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+    index += source.length;
+  }
+  if (stack.length > 1) {
+    const open = stack[stack.length - 1];
+    throw parseErrorAt(text, open.index, `<${open.name}> is never closed`);
+  }
+  if (root.children.length !== 1) {
+    throw parseErrorAt(text, 0, "Expected a single root element");
+  }
+  return root.children[0];
+}
+
+function parseJflap(text) {
+  const structure = parseXml(text);
+  const fail = (element, message) => {
+    throw parseErrorAt(text, element.index, message);
+  };
+  const child = (element, name) =>
+    element.children.find((entry) => entry.name === name) || null;
+  const childText = (element, name) => {
+    const found = child(element, name);
+    return found ? found.text.trim() : null;
+  };
+
+  if (structure.name !== "structure") {
+    fail(structure, `Expected <structure> but found <${structure.name}>`);
+  }
+  const type = childText(structure, "type");
+  if (type !== "fa") {
+    fail(
+      child(structure, "type") || structure,
+      `Only finite automata (type 'fa') are supported, not '${type ?? "none"}'`,
+    );
+  }
+  const automaton = child(structure, "automaton") || structure;
+  const elements = (name) =>
+    automaton.children.filter((entry) => entry.name === name);
+
+  const states = [];
+  const indexById = new Map();
+  elements("state").forEach((element) => {
+    const id = element.attributes.id;
+    if (id === undefined) fail(element, "State without an id");
+    if (indexById.has(id)) fail(element, `Duplicate state id '${id}'`);
+    const x = parseFloat(childText(element, "x"));
+    const y = parseFloat(childText(element, "y"));
+    indexById.set(id, states.length);
+    states.push({
+      name: element.attributes.name ?? `q${id}`,
+      x: Number.isFinite(x) ? x : undefined,
+      y: Number.isFinite(y) ? y : undefined,
+      isStart: child(element, "initial") !== null,
+      isAccept: child(element, "final") !== null,
+    });
+  });
+  if (states.filter((state) => state.isStart).length > 1) {
+    fail(
+      elements("state").filter((element) => child(element, "initial"))[1],
+      "More than one initial state",
+    );
+  }
+
+  const transitions = [];
+  const alphabet = [];
+  elements("transition").forEach((element) => {
+    const [from, to] = ["from", "to"].map((name) => {
+      const id = childText(element, name);
+      if (id === null) fail(element, `Transition without <${name}>`);
+      if (!indexById.has(id)) {
+        fail(child(element, name), `Unknown state id '${id}'`);
+      }
+      return indexById.get(id);
+    });
+    const read = childText(element, "read") ?? "";
+    const symbol = read === "" ? EPSILON : normalizeImportedSymbol(read);
+    if (symbol !== EPSILON && !alphabet.includes(symbol)) {
+      alphabet.push(symbol);
+    }
+    transitions.push({ from, to, symbol });
+  });
+
+  return { states, transitions, alphabet };
+}
+
+// Test suites
+//
+// One case per line: the input, a separator and the expected outcome,
+// as in `abb → accept`. The separator can be → or ->, a comma or a tab,
+// so CSV exported from a spreadsheet works too (quoted fields and a
+// header row are fine). ε or an empty field is the empty string.
+
+const TEST_EXPECTATIONS = {
+  accept: true,
+  accepted: true,
+  yes: true,
+  true: true,
+  1: true,
+  "✓": true,
+  reject: false,
+  rejected: false,
+  no: false,
+  false: false,
+  0: false,
+  "✗": false,
+};
+
+// Splits a CSV line into {value, column} fields.
+function csvFields(content, delimiter, lineNumber) {
+  const fields = [];
+  let index = 0;
+  for (;;) {
+    const column = index + 1;
+    let value = "";
+    if (content[index] === '"') {
+      index++;
+      for (;;) {
+        const close = content.indexOf('"', index);
+        if (close < 0) {
+          throw new ParseError("Unclosed quote", lineNumber, column);
+        }
+        value += content.slice(index, close);
+        index = close + 1;
+        if (content[index] !== '"') break;
+        value += '"';
+        index++;
+      }
+      const end = content.indexOf(delimiter, index);
+      index = end < 0 ? content.length : end;
+    } else {
+      const end = content.indexOf(delimiter, index);
+      value = content.slice(index, end < 0 ? content.length : end);
+      index = end < 0 ? content.length : end;
+    }
+    fields.push({ value: value.trim(), column });
+    if (index >= content.length) return fields;
+    index++;
+  }
+}
+
+// Parses a test suite into [{input, expect}] where `expect` is true for
+// strings that should be accepted.
+function parseTestSuite(text) {
+  const tests = [];
+  let firstLine = true;
+  text.split("\n").forEach((line, index) => {
+    const content = line.replace(/\r$/, "");
+    const number = index + 1;
+    if (content.trim() === "" || content.trim().startsWith("#")) return;
+    const isFirst = firstLine;
+    firstLine = false;
+
+    let fields;
+    const arrow = content.match(/^(.*)(→|->)(.*)$/);
+    if (arrow) {
+      fields = [
+        { value: arrow[1].trim(), column: 1 },
+        {
+          value: arrow[3].trim(),
+          column: arrow[1].length + arrow[2].length + 1,
+        },
+      ];
+    } else {
+      fields = csvFields(content, content.includes("\t") ? "\t" : ",", number);
+      if (fields.length !== 2) {
+        throw new ParseError(
+          "Expected a string and accept or reject, separated by → or a comma",
+          number,
+          1,
+        );
+      }
+    }
+
+    const [input, outcome] = fields;
+    const expect = TEST_EXPECTATIONS[outcome.value.toLowerCase()];
+    if (expect === undefined) {
+      // A CSV header such as "string,expected".
+      if (isFirst && !arrow) return;
+      throw new ParseError(
+        `Expected accept or reject but found '${outcome.value}'`,
+        number,
+        outcome.column,
+      );
+    }
+    tests.push({
+      input: input.value === EPSILON ? "" : input.value,
+      expect,
+    });
+  });
+  return tests;
+}
+
+function formatTestSuite(tests) {
+  return tests
+    .map(
+      ({ input, expect }) =>
+        `${input === "" ? EPSILON : input} → ${expect ? "accept" : "reject"}`,
+    )
+    .join("\n");
+}
+
+// Grading
+//
+// Compares a submitted automaton with a reference solution: whether they
+// accept the same language, the shortest string they disagree on, the
+// state count against the minimal complete DFA, and structural problems
+// worth a deduction. Test cases saved with the reference are run on the
+// submission too.
+
+// Throws unless `dfa` can serve as a reference: grading compares
+// languages, which pushdown automata and transducers don't support.
+function requireReference(dfa) {
+  dfa.requireFinite();
+  if (dfa.isTransducer()) {
+    throw new Error("Mealy and Moore machines can't be used as a reference");
+  }
+}
+
+// Number of states in the minimal complete DFA for `dfa`'s language.
+function minimalStateCount(dfa) {
+  requireReference(dfa);
+  const deterministic = dfa.isDeterministic() ? dfa : dfa.toDFA();
+  // minimize() leaves dead states out, so a trap is added back if the
+  // minimized DFA is missing any transition.
+  const minimal = deterministic.minimize().dfa;
+  minimal.addTrapState(0, 0);
+  return minimal.states.length;
+}
+
+// The reference must be a finite acceptor. When grading a batch against
+// one reference, pass `minimalStates` (from minimalStateCount) so it is
+// only computed once.
+function gradeSubmission(reference, submission, minimalStates = null) {
+  if (!reference.startState) {
+    throw new Error("The reference has no start state");
+  }
+  requireReference(reference);
+  const issues = [];
+  const add = (kind, message) => issues.push({ kind, message });
+
+  if (!submission.startState) add("noStart", "No start state");
+  if (!submission.isDeterministic()) {
+    add("nondeterministic", `Submitted an ${submission.type.toUpperCase()}`);
+  }
+  const expected = Array.from(reference.alphabet);
+  const extra = Array.from(submission.alphabet).filter(
+    (symbol) => !reference.alphabet.has(symbol),
+  );
+  const missing = expected.filter((symbol) => !submission.alphabet.has(symbol));
+  if (extra.length > 0 || missing.length > 0) {
+    const parts = [];
+    if (missing.length > 0) parts.push(`missing ${missing.join(", ")}`);
+    if (extra.length > 0) parts.push(`extra ${extra.join(", ")}`);
+    add(
+      "alphabet",
+      `Alphabet is {${Array.from(submission.alphabet).join(", ")}}, expected {${expected.join(", ")}} (${parts.join("; ")})`,
+    );
+  }
+  submission.validate().forEach((issue) => {
+    if (issue.kind === "missing" || issue.kind === "unreachable") {
+      add(issue.kind, issue.message);
+    }
+  });
+
+  const difference = reference.findCounterexample(submission);
+  let tests = null;
+  if (reference.tests.length > 0) {
+    const results = submission.runTests(reference.tests);
+    tests = {
+      passed: results.filter((result) => result.passed).length,
+      total: results.length,
+    };
+  }
+  return {
+    equivalent: difference === null,
+    counterexample: difference ? reference.displayWord(difference.word) : null,
+    // Which side accepts the counterexample.
+    acceptedBy: difference
+      ? difference.acceptedBy === "this"
+        ? "reference"
+        : "submission"
+      : null,
+    states: submission.states.length,
+    minimalStates: minimalStates ?? minimalStateCount(reference),
+    issues,
+    tests,
+  };
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV row per graded file. Reports are gradeSubmission results with
+// a `file` name, or {file, error} for files that could not be read.
+function formatGradesCsv(reports) {
+  const header = [
+    "file",
+    "equivalent",
+    "counterexample",
+    "accepted_by",
+    "states",
+    "minimal_states",
+    "tests_passed",
+    "tests_total",
+    "issues",
+    "error",
+  ];
+  const rows = reports.map((report) =>
+    report.error
+      ? [report.file, "", "", "", "", "", "", "", "", report.error]
+      : [
+          report.file,
+          report.equivalent ? "yes" : "no",
+          report.counterexample,
+          report.acceptedBy,
+          report.states,
+          report.minimalStates,
+          report.tests && report.tests.passed,
+          report.tests && report.tests.total,
+          report.issues.map((issue) => issue.message).join("; "),
+          "",
+        ],
+  );
+  return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n");
+}
+
+// Undo/redo
+//
+// Every edit goes through EditHistory as a command: an object with do()
+// and undo() and a label for the toolbar tooltips. Commands refer to
+// states by id rather than by object, because undoing a bulk change
+// reloads the automaton and so replaces every state object.
+class EditHistory {
+  constructor(limit = 200) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.onChange = null;
+  }
+
+  execute(command) {
+    command.do();
+    this.record(command);
+  }
+
+  // Adds a command whose effect has already been applied, such as a
+  // finished drag. A command may absorb the next one through merge(),
+  // which is how typing a name becomes a single undo step.
+  record(command) {
+    const top = this.undoStack[this.undoStack.length - 1];
+    if (!(top && top.merge && top.merge(command))) {
+      this.undoStack.push(command);
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.shift();
+      }
+    }
+    this.redoStack = [];
+    this.changed();
+  }
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return false;
+    command.undo();
+    this.redoStack.push(command);
+    this.changed();
+    return true;
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return false;
+    command.do();
+    this.undoStack.push(command);
+    this.changed();
+    return true;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  nextUndoLabel() {
+    return this.canUndo()
+      ? this.undoStack[this.undoStack.length - 1].label
+      : null;
+  }
+
+  nextRedoLabel() {
+    return this.canRedo()
+      ? this.redoStack[this.redoStack.length - 1].label
+      : null;
+  }
+
+  changed() {
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+}
+
+function addStateCommand(dfa, x, y) {
+  let capture = null;
+  return {
+    label: "Add state",
+    do() {
+      if (capture) {
+        dfa.restoreState(capture);
+        return;
+      }
+      const state = dfa.addState(x, y);
+      if (dfa.states.length === 1) {
+        dfa.setStartState(state);
+      }
+      capture = dfa.captureState(state);
+    },
+    undo() {
+      dfa.removeState(capture.data.id);
+      // Give the id back so the next new state reuses the name.
+      if (dfa.stateIdCounter === capture.data.id + 1) {
+        dfa.stateIdCounter = capture.data.id;
+      }
+    },
+  };
+}
+
+function deleteStateCommand(dfa, stateId) {
+  let capture = null;
+  return {
+    label: "Delete state",
+    do() {
+      capture = dfa.captureState(dfa.getStateById(stateId));
+      dfa.removeState(stateId);
+    },
+    undo() {
+      dfa.restoreState(capture);
+    },
+  };
+}
+
+function moveStateCommand(dfa, stateId, from, to) {
+  const moveTo = (position) => {
+    const state = dfa.getStateById(stateId);
+    state.x = position.x;
+    state.y = position.y;
+  };
+  return {
+    label: "Move state",
+    do: () => moveTo(to),
+    undo: () => moveTo(from),
+  };
+}
+
+// Sets the targets of one (state, symbol) pair. Adding, removing and
+// retargeting transitions are all expressed this way.
+function setTargetsCommand(dfa, label, stateId, symbol, targetIds) {
+  let previousIds = null;
+  const apply = (ids) => {
+    dfa.setTargets(
+      dfa.getStateById(stateId),
+      symbol,
+      ids.map((id) => dfa.getStateById(id)),
+    );
+  };
+  return {
+    label,
+    do() {
+      const state = dfa.getStateById(stateId);
+      previousIds = dfa.getTargets(state, symbol).map((target) => target.id);
+      apply(targetIds);
+    },
+    undo: () => apply(previousIds),
+  };
+}
+
+function addTransitionCommand(dfa, fromId, toId, symbol) {
+  const from = dfa.getStateById(fromId);
+  const targetIds = dfa.isDeterministic()
+    ? [toId]
+    : dfa
+        .getTargets(from, symbol)
+        .map((target) => target.id)
+        .concat(toId);
+  return setTargetsCommand(dfa, "Add transition", fromId, symbol, targetIds);
+}
+
+function setStartCommand(dfa, stateId) {
+  let previousId = null;
+  return {
+    label: stateId === null ? "Unset start state" : "Set start state",
+    do() {
+      previousId = dfa.startState ? dfa.startState.id : null;
+      dfa.setStartState(stateId === null ? null : dfa.getStateById(stateId));
+    },
+    undo() {
+      dfa.setStartState(
+        previousId === null ? null : dfa.getStateById(previousId),
+      );
+    },
+  };
+}
+
+function setAcceptCommand(dfa, stateId, isAccept) {
+  return {
+    label: isAccept ? "Make accepting" : "Make non-accepting",
+    do() {
+      dfa.getStateById(stateId).isAccept = isAccept;
+    },
+    undo() {
+      dfa.getStateById(stateId).isAccept = !isAccept;
+    },
+  };
+}
+
+// Output of a Moore state; null clears it.
+function setStateOutputCommand(dfa, stateId, output) {
+  let previous = null;
+  return {
+    label: "Set output",
+    do() {
+      const state = dfa.getStateById(stateId);
+      previous = state.output;
+      state.output = output;
+    },
+    undo() {
+      dfa.getStateById(stateId).output = previous;
+    },
+  };
+}
+
+// Output of a Mealy transition; null clears it.
+function setTransitionOutputCommand(dfa, stateId, symbol, output) {
+  let previous = null;
+  const write = (value) => {
+    const { outputs } = dfa.getStateById(stateId);
+    if (value) outputs[symbol] = value;
+    else delete outputs[symbol];
+  };
+  return {
+    label: "Set output",
+    do() {
+      previous = dfa.getStateById(stateId).outputs[symbol] || null;
+      write(output);
+    },
+    undo() {
+      write(previous);
+    },
+  };
+}
+
+// Adds or removes one PDA rule (see stackRules()). Undo puts back the
+// targets and stack operations of the state on that symbol.
+function stackRuleCommand(dfa, label, stateId, toId, rule, remove) {
+  let previous = null;
+  return {
+    label,
+    do() {
+      const state = dfa.getStateById(stateId);
+      const target = dfa.getStateById(toId);
+      previous = {
+        targetIds: dfa.getTargets(state, rule.symbol).map((t) => t.id),
+        ops: state.stackOps[rule.symbol],
+      };
+      if (remove) dfa.removeStackRule(state, target, rule);
+      else dfa.addStackRule(state, target, rule);
+    },
+    undo() {
+      const state = dfa.getStateById(stateId);
+      dfa.setTargets(
+        state,
+        rule.symbol,
+        previous.targetIds.map((id) => dfa.getStateById(id)),
+      );
+      if (previous.ops) state.stackOps[rule.symbol] = previous.ops;
+      else delete state.stackOps[rule.symbol];
+    },
+  };
+}
+
+function addStackRuleCommand(dfa, fromId, toId, rule) {
+  return stackRuleCommand(dfa, "Add transition", fromId, toId, rule, false);
+}
+
+function removeStackRuleCommand(dfa, fromId, toId, rule) {
+  return stackRuleCommand(dfa, "Remove transition", fromId, toId, rule, true);
+}
+
+function renameCommand(dfa, stateId, name) {
+  let previousName = null;
+  const command = {
+    label: "Rename state",
+    stateId,
+    name,
+    do() {
+      const state = dfa.getStateById(stateId);
+      if (previousName === null) previousName = state.name;
+      state.name = command.name;
+    },
+    undo() {
+      dfa.getStateById(stateId).name = previousName;
+    },
+    merge(next) {
+      if (next.label !== command.label || next.stateId !== stateId) {
+        return false;
+      }
+      command.name = next.name;
+      return true;
+    },
+  };
+  return command;
+}
+
+function compositeCommand(label, commands) {
+  return {
+    label,
+    do() {
+      commands.forEach((command) => command.do());
+    },
+    undo() {
+      commands
+        .slice()
+        .reverse()
+        .forEach((command) => command.undo());
+    },
+  };
+}
+
+// For bulk edits (clearing, changing the alphabet, loading a file,
+// replacing the automaton with an algorithm's result): the whole
+// automaton is saved before and after, and undo/redo reload it.
+function snapshotCommand(dfa, label, mutate) {
+  let before = null;
+  let after = null;
+  return {
+    label,
+    do() {
+      if (after) {
+        dfa.load(after);
+        return;
+      }
+      before = dfa.toJSON();
+      mutate();
+      after = dfa.toJSON();
+    },
+    undo() {
+      dfa.load(before);
+    },
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    DFA,
+    DFA_FORMAT,
+    DFA_FORMAT_VERSION,
+    EPSILON,
+    AUTOMATON_TYPES,
+    MACHINE_KINDS,
+    PDA_ACCEPTANCE,
+    PDA_SEARCH_LIMIT,
+    INPUT_MODES,
+    ParseError,
+    analyzeAlphabet,
+    parseRegex,
+    regexToString,
+    detectImportFormat,
+    parseAutomatonText,
+    readAutomatonFile,
+    parseTestSuite,
+    formatTestSuite,
+    requireReference,
+    minimalStateCount,
+    gradeSubmission,
+    formatGradesCsv,
+    EditHistory,
+    addStateCommand,
+    deleteStateCommand,
+    addTransitionCommand,
+    renameCommand,
+    snapshotCommand,
+  };
+}
@@ -0,0 +1,263 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..");
+
+// Loads the page with its scripts in jsdom, at `hash`. Canvas drawing
+// is stubbed out, since jsdom has no 2D context, and Node supplies the
+// encoding and stream APIs share links need. `storage` entries are put
+// in localStorage before the scripts run; alerts are collected in
+// `window.__alerts`.
+function loadApp({ storage = {}, hash = "" } = {}) {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  const scripts = Array.from(
+    html.matchAll(/<script src="([^"]*)"><\/script>/g),
+    (match) => match[1],
+  );
+  const dom = new JSDOM(html.replace(/<script src="[^"]*"><\/script>/g, ""), {
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    url: `http://localhost/${hash}`,
+  });
+  const window = dom.window;
+  const context = new Proxy(
+    {},
+    {
+      get: (target, key) => {
+        if (key in target) return target[key];
+        if (key === "measureText") return () => ({ width: 10 });
+        return () => {};
+      },
+    },
+  );
+  window.HTMLCanvasElement.prototype.getContext = () => context;
+  window.__alerts = [];
+  window.alert = (message) => window.__alerts.push(message);
+  Object.assign(window, {
+    TextEncoder,
+    TextDecoder,
+    CompressionStream,
+    DecompressionStream,
+    Blob,
+    Response,
+  });
+  Object.entries(storage).forEach(([key, value]) => {
+    window.localStorage.setItem(key, value);
+  });
+  window.eval(
+    scripts
+      .map((script) => fs.readFileSync(path.join(ROOT, script), "utf8"))
+      .join("\n;\n") +
+      "\n;window.__app = { dfa, dfaCanvas, afterLoad, shareUrl };",
+  );
+  return window;
+}
+
+// Resolves once `condition()` holds, checking every few milliseconds.
+async function waitFor(condition, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe("page", () => {
+  test("the trace shows state names as text", () => {
+    const window = loadApp();
+    try {
+      const { dfa, afterLoad } = window.__app;
+      const name = '<img src=x onerror="window.hacked = true">';
+      const state = dfa.addState(100, 100, name);
+      dfa.setStartState(state);
+      dfa.addTransition(state, state, "0");
+      afterLoad();
+
+      const document = window.document;
+      document.getElementById("testStringInput").value = "0";
+      document.getElementById("testStringBtn").click();
+      const trace = document.getElementById("executionTrace");
+      assert.equal(trace.querySelector("img"), null);
+      assert.match(trace.textContent, /Start in state <img src=x/);
+    } finally {
+      window.close();
+    }
+  });
+
+  test("equivalence errors are shown in the result", () => {
+    const window = loadApp();
+    try {
+      const { dfa, afterLoad } = window.__app;
+      dfa.setStartState(dfa.addState(100, 100, "q0"));
+      afterLoad();
+
+      const document = window.document;
+      document.getElementById("useAsReferenceBtn").click();
+      dfa.setType("pda");
+      document.getElementById("checkEquivalenceBtn").click();
+      const result = document.getElementById("equivalenceResult");
+      assert.match(result.className, /error/);
+      assert.match(result.textContent, /pushdown/);
+    } finally {
+      window.close();
+    }
+  });
+
+  test("autosave restores the automaton on the next load", async () => {
+    const window = loadApp();
+    let saved;
+    try {
+      const { dfa, afterLoad } = window.__app;
+      dfa.setStartState(dfa.addState(100, 100, "start"));
+      afterLoad();
+      await new Promise((resolve) => setTimeout(resolve, 400));
+      saved = window.localStorage.getItem("vibe-dfa:autosave");
+    } finally {
+      window.close();
+    }
+    assert.ok(saved);
+
+    const restored = loadApp({ storage: { "vibe-dfa:autosave": saved } });
+    try {
+      const { dfa } = restored.__app;
+      assert.equal(dfa.states.length, 1);
+      assert.equal(dfa.states[0].name, "start");
+      assert.equal(dfa.startState, dfa.states[0]);
+    } finally {
+      restored.close();
+    }
+  });
+
+  test("share links open the automaton they carry", async () => {
+    const window = loadApp();
+    let url;
+    try {
+      const { dfa, afterLoad, shareUrl } = window.__app;
+      const start = dfa.addState(100, 100, "start");
+      dfa.setStartState(start);
+      start.isAccept = true;
+      dfa.addTransition(start, start, "1");
+      afterLoad();
+      url = new URL(await shareUrl());
+    } finally {
+      window.close();
+    }
+    assert.match(url.hash, /^#dfa=z[\w-]+$/);
+
+    const opened = loadApp({ hash: url.hash });
+    try {
+      const { dfa } = opened.__app;
+      await waitFor(() => dfa.states.length > 0);
+      assert.equal(dfa.states[0].name, "start");
+      assert.equal(dfa.simulate("11").accepted, true);
+      assert.equal(opened.location.hash, "");
+    } finally {
+      opened.close();
+    }
+  });
+
+  test("corrupted share links show an error instead of loading", async () => {
+    const cases = [
+      ["#dfa=zAAAA", /corrupted or was cut off/],
+      ["#dfa=j!!", /characters that don't belong/],
+      ["#dfa=x" + "A".repeat(8), /not from this app/],
+      ["#dfa=j" + "A".repeat(200001), /too large/],
+    ];
+    for (const [hash, message] of cases) {
+      const window = loadApp({ hash });
+      try {
+        await waitFor(() => window.__alerts.length > 0);
+        assert.match(window.__alerts[0], message);
+        assert.equal(window.__app.dfa.states.length, 0);
+      } finally {
+        window.close();
+      }
+    }
+  });
+
+  test("transducers can't be completed with a trap state", async () => {
+    const window = loadApp();
+    try {
+      const { dfa, afterLoad } = window.__app;
+      dfa.setStartState(dfa.addState(100, 100, "q0"));
+      afterLoad();
+      const button = window.document.getElementById("completeWithTrapBtn");
+      await waitFor(() => !button.disabled);
+      dfa.setMachine("mealy");
+      afterLoad();
+      await waitFor(() => button.disabled);
+      assert.match(button.title, /output/);
+    } finally {
+      window.close();
+    }
+  });
+
+  test("shift-click selects states and paste copies them with fresh ids", () => {
+    const window = loadApp();
+    try {
+      const { dfa, dfaCanvas, afterLoad } = window.__app;
+      dfa.alphabet = new Set(["a", "b"]);
+      const [q0, q1, q2] = [100, 200, 300].map((x) => dfa.addState(x, 100));
+      dfa.setStartState(q0);
+      dfa.addTransition(q0, q1, "a");
+      dfa.addTransition(q1, q2, "b");
+      afterLoad();
+
+      const document = window.document;
+      document.getElementById("selectBtn").click();
+      const click = (state, shiftKey) => {
+        const { scale, offsetX, offsetY } = dfaCanvas.view;
+        const options = {
+          bubbles: true,
+          clientX: state.x * scale + offsetX,
+          clientY: state.y * scale + offsetY,
+          shiftKey,
+        };
+        dfaCanvas.canvas.dispatchEvent(
+          new window.MouseEvent("mousedown", options),
+        );
+        dfaCanvas.canvas.dispatchEvent(
+          new window.MouseEvent("mouseup", options),
+        );
+      };
+      click(q0, false);
+      click(q1, true);
+      assert.equal(dfaCanvas.selectedStates.size, 2);
+
+      let clipboard = "";
+      const clipboardEvent = (type) => {
+        const event = new window.Event(type, {
+          bubbles: true,
+          cancelable: true,
+        });
+        event.clipboardData = {
+          setData: (format, text) => (clipboard = text),
+          getData: () => clipboard,
+        };
+        document.dispatchEvent(event);
+      };
+      clipboardEvent("copy");
+      clipboardEvent("paste");
+
+      assert.equal(dfa.states.length, 5);
+      const pasted = Array.from(dfaCanvas.selectedStates);
+      assert.equal(pasted.length, 2);
+      const [copy0, copy1] = pasted;
+      assert.ok(pasted.every((state) => state.id > q2.id));
+      assert.equal(copy0.name, "q3");
+      assert.equal(copy1.name, "q4");
+      assert.equal(copy0.transitions.a, copy1);
+      assert.equal(copy1.transitions.b, undefined);
+      assert.equal(copy0.isStart, false);
+
+      document.getElementById("deleteSelectedBtn").click();
+      assert.equal(dfa.states.length, 3);
+      assert.equal(q0.transitions.a, q1);
+    } finally {
+      window.close();
+    }
+  });
+});
@@ -0,0 +1,126 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("node:child_process");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { main, EXIT_OK, EXIT_FAILED, EXIT_USAGE } = require("../cli");
+const { parseAutomatonText } = require("../dfa");
+
+const ENDS_IN_ONE = `
+      0   1
+->q0  q0  q1
+ *q1  q0  q1
+`;
+
+// Runs the CLI in-process against in-memory files.
+function run(args, files = {}, stdin = "") {
+  const out = [];
+  const err = [];
+  const status = main(args, {
+    out: (line) => out.push(line),
+    err: (line) => err.push(line),
+    readFile: (file) => {
+      if (!(file in files)) throw new Error(`ENOENT: ${file}`);
+      return files[file];
+    },
+    readStdin: () => stdin,
+  });
+  return { status, out, err };
+}
+
+describe("cli", () => {
+  test("accepts when every string is accepted", () => {
+    const { status, out } = run(["m.txt", "1", "011"], {
+      "m.txt": ENDS_IN_ONE,
+    });
+    assert.equal(status, EXIT_OK);
+    assert.deepEqual(out, ["accept  1", "accept  011"]);
+  });
+
+  test("fails when a string is rejected", () => {
+    const { status, out } = run(["m.txt", "1", "ε"], { "m.txt": ENDS_IN_ONE });
+    assert.equal(status, EXIT_FAILED);
+    assert.equal(out[1], "reject  ε");
+  });
+
+  test("reads strings from stdin", () => {
+    const { status, out } = run(["m.txt"], { "m.txt": ENDS_IN_ONE }, "1\n0\n");
+    assert.equal(status, EXIT_FAILED);
+    assert.equal(out.length, 2);
+  });
+
+  test("prints the trace", () => {
+    const { out } = run(["m.txt", "--trace", "01"], { "m.txt": ENDS_IN_ONE });
+    assert.deepEqual(out, ["accept  01", "    q0", "    0 → q0", "    1 → q1"]);
+  });
+
+  test("prints what a Moore machine writes", () => {
+    const dfa = parseAutomatonText(ENDS_IN_ONE).dfa;
+    dfa.setMachine("moore");
+    dfa.setOutputAlphabet(["0", "1"]);
+    dfa.states[0].output = "0";
+    dfa.states[1].output = "1";
+    const { out } = run(["m.json", "--trace", "01"], {
+      "m.json": JSON.stringify(dfa.toJSON()),
+    });
+    assert.deepEqual(out, [
+      "accept  01  → 001",
+      "    q0 / 0",
+      "    0 → q0 / 0",
+      "    1 → q1 / 1",
+    ]);
+  });
+
+  test("runs a test suite file", () => {
+    const { status, out } = run(["m.txt", "--suite", "s.txt"], {
+      "m.txt": ENDS_IN_ONE,
+      "s.txt": "1 → accept\n10 → accept\n",
+    });
+    assert.equal(status, EXIT_FAILED);
+    assert.deepEqual(out, [
+      "PASS  1 → accept",
+      "FAIL  10 → expected accept, got reject",
+      "1 of 2 passed",
+    ]);
+  });
+
+  test("runs the suite saved in a JSON export", () => {
+    const dfa = parseAutomatonText(ENDS_IN_ONE).dfa;
+    dfa.tests = [{ input: "0", expect: false }];
+    const { status, out } = run(["m.json", "--tests"], {
+      "m.json": JSON.stringify(dfa.toJSON()),
+    });
+    assert.equal(status, EXIT_OK);
+    assert.equal(out[out.length - 1], "1 of 1 passed");
+  });
+
+  test("reports usage and load errors", () => {
+    assert.equal(run([]).status, EXIT_USAGE);
+    assert.equal(run(["m.txt", "--bogus"]).status, EXIT_USAGE);
+    const missing = run(["missing.txt", "1"]);
+    assert.equal(missing.status, EXIT_USAGE);
+    assert.match(missing.err[0], /ENOENT/);
+    const broken = run(["m.json", "1"], { "m.json": "{ nope" });
+    assert.equal(broken.status, EXIT_USAGE);
+    assert.match(broken.err[0], /Invalid JSON/);
+  });
+
+  test("sets the process exit status", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vibe-dfa-"));
+    try {
+      const file = path.join(dir, "ends-in-one.txt");
+      fs.writeFileSync(file, ENDS_IN_ONE);
+      const cli = path.join(__dirname, "..", "cli.js");
+      const accepted = spawnSync(process.execPath, [cli, file, "01"]);
+      assert.equal(accepted.status, EXIT_OK);
+      const rejected = spawnSync(process.execPath, [cli, file], {
+        input: "10\n",
+      });
+      assert.equal(rejected.status, EXIT_FAILED);
+      assert.equal(rejected.stdout.toString(), "reject  10\n");
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
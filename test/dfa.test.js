@@ -0,0 +1,651 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  DFA,
+  EPSILON,
+  ParseError,
+  parseAutomatonText,
+  parseTestSuite,
+  minimalStateCount,
+  gradeSubmission,
+  formatGradesCsv,
+  analyzeAlphabet,
+  EditHistory,
+  addStateCommand,
+  deleteStateCommand,
+  addTransitionCommand,
+  renameCommand,
+  snapshotCommand,
+} = require("../dfa");
+
+// Binary strings ending in 1.
+const ENDS_IN_ONE = `
+      0   1
+->q0  q0  q1
+ *q1  q0  q1
+`;
+
+function automaton(text) {
+  return parseAutomatonText(text).dfa;
+}
+
+function accepts(dfa, input) {
+  return dfa.simulate(input).accepted;
+}
+
+describe("simulate", () => {
+  test("runs a DFA and records the trace", () => {
+    const dfa = automaton(ENDS_IN_ONE);
+    const result = dfa.simulate("101");
+    assert.equal(result.accepted, true);
+    assert.equal(result.finalState, "q1");
+    assert.deepEqual(
+      result.trace.map((step) => step.state),
+      ["q0", "q1", "q0", "q1"],
+    );
+    assert.equal(accepts(dfa, "10"), false);
+    assert.equal(accepts(dfa, ""), false);
+  });
+
+  test("rejects symbols outside the alphabet", () => {
+    const result = automaton(ENDS_IN_ONE).simulate("12");
+    assert.equal(result.accepted, false);
+    assert.match(result.error, /2/);
+  });
+
+  test("fails without a start state", () => {
+    const dfa = new DFA();
+    dfa.addState(0, 0);
+    assert.equal(dfa.simulate("0").error, "No start state defined");
+  });
+
+  test("follows every branch of an ε-NFA", () => {
+    // Strings containing 11, with an ε-move into the second half.
+    const dfa = automaton(`
+          0     1        ε
+      ->p {p}   {p,q}    -
+        q -     r        -
+        r -     -        s
+       *s s     s        -
+    `);
+    assert.equal(dfa.type, "enfa");
+    assert.equal(accepts(dfa, "0110"), true);
+    assert.equal(accepts(dfa, "0101"), false);
+    assert.deepEqual(dfa.simulate("11").finalStates, ["p", "q", "r", "s"]);
+  });
+
+  test("splits input on the longest symbol or on separators", () => {
+    const dfa = automaton(`
+          a   ab
+      ->x y   x
+       *y y   x
+    `);
+    assert.deepEqual(dfa.simulate("aba").tokens, ["ab", "a"]);
+    dfa.inputMode = "separated";
+    assert.deepEqual(dfa.simulate("a, ab a").tokens, ["a", "ab", "a"]);
+  });
+
+  test("warns when longest match misreads a string that can be split", () => {
+    assert.deepEqual(analyzeAlphabet(["0", "1"]), []);
+    assert.equal(analyzeAlphabet(["a", "ab"]).length, 1);
+    const warnings = analyzeAlphabet(["a", "bc", "ab"]);
+    assert.ok(warnings.some((warning) => /can't read "abc"/.test(warning)));
+  });
+});
+
+describe("conversions", () => {
+  test("subset construction keeps the language", () => {
+    const nfa = automaton(`
+          0       1
+      ->a {a}     {a,b}
+        b {c}     {c}
+       *c -       -
+    `);
+    const dfa = nfa.toDFA();
+    assert.equal(dfa.type, "dfa");
+    assert.equal(dfa.findCounterexample(nfa), null);
+  });
+
+  test("minimization merges equivalent states", () => {
+    const dfa = automaton(`
+          0   1
+      ->a a   b
+       *b c   b
+        c c   b
+    `);
+    const { dfa: minimal } = dfa.minimize();
+    assert.equal(minimal.states.length, 2);
+    assert.equal(minimal.findCounterexample(automaton(ENDS_IN_ONE)), null);
+  });
+
+  test("minimization drops dead states of partial DFAs", () => {
+    const empty = automaton(`
+          a
+      ->q0 q1
+        q1 -
+    `);
+    const { dfa: minimal, dead } = empty.minimize();
+    assert.equal(minimal.states.length, 1);
+    assert.equal(minimal.startState.transitions.a, minimal.startState);
+    assert.deepEqual(
+      dead.map((state) => state.name),
+      ["q1"],
+    );
+
+    const withTrap = automaton(`
+          0   1
+      ->q0 q0  q1
+       *q1 -   t
+        t  t   t
+    `);
+    const { dfa: smaller } = withTrap.minimize();
+    assert.equal(smaller.states.length, 2);
+    assert.equal(smaller.findCounterexample(withTrap), null);
+  });
+
+  test("regular expressions round-trip through automata", () => {
+    const fromRegex = DFA.fromRegex("(0|1)*1", new Set(["0", "1"]));
+    const reference = automaton(ENDS_IN_ONE);
+    assert.equal(fromRegex.findCounterexample(reference), null);
+    const again = DFA.fromRegex(reference.toRegex(), reference.alphabet);
+    assert.equal(again.findCounterexample(reference), null);
+  });
+
+  test("regular expressions over multi-character symbols round-trip", () => {
+    // "a" then "b", or the single symbol "ab" then "a".
+    const reference = automaton(`
+          a   b   ab
+      ->q0 q1  -   q2
+        q1 -   q3  -
+        q2 q3  -   -
+       *q3 -   -   -
+    `);
+    const regex = reference.toRegex();
+    assert.match(regex, /a b/);
+    const again = DFA.fromRegex(regex, reference.alphabet);
+    assert.equal(again.findCounterexample(reference), null);
+  });
+
+  test("counterexamples are shortest strings the machines disagree on", () => {
+    const endsInZero = automaton(ENDS_IN_ONE).complement();
+    const difference = automaton(ENDS_IN_ONE).findCounterexample(endsInZero);
+    assert.deepEqual(difference.word, []);
+    assert.equal(difference.acceptedBy, "other");
+  });
+
+  test("reversal keeps ε-moves", () => {
+    const enfa = automaton(`
+           a   ε
+      ->q0 -   q1
+        q1 q2  -
+       *q2 -   -
+    `);
+    const reversed = enfa.reverse();
+    assert.equal(reversed.type, "enfa");
+    assert.equal(accepts(reversed, "a"), true);
+    assert.equal(accepts(reversed, ""), false);
+  });
+
+  test("the complement of a machine without a start state is everything", () => {
+    const dfa = automaton(ENDS_IN_ONE);
+    dfa.startState.isStart = false;
+    dfa.startState = null;
+    const all = dfa.complement();
+    assert.equal(accepts(all, ""), true);
+    assert.equal(accepts(all, "10"), true);
+    assert.equal(accepts(all, "01"), true);
+  });
+});
+
+describe("language", () => {
+  test("counts strings by length", () => {
+    assert.deepEqual(automaton(ENDS_IN_ONE).countByLength(3), [0n, 1n, 2n, 4n]);
+  });
+
+  test("enumerates in shortlex order", () => {
+    const strings = [];
+    for (const word of automaton(ENDS_IN_ONE).enumerateStrings()) {
+      strings.push(word);
+      if (strings.length === 4) break;
+    }
+    assert.deepEqual(
+      strings.map((word) => word.string),
+      ["1", "01", "11", "001"],
+    );
+  });
+
+  test("reports finite and infinite languages", () => {
+    assert.equal(automaton(ENDS_IN_ONE).languageSize().kind, "infinite");
+    const finite = automaton(`
+          0   1
+      ->a b   b
+       *b -   -
+    `);
+    assert.deepEqual(finite.languageSize(), {
+      kind: "finite",
+      count: 2n,
+      longest: 1,
+    });
+  });
+
+  test("measures long chains of states without recursion", () => {
+    const dfa = new DFA();
+    dfa.alphabet = new Set(["a"]);
+    let last = dfa.addState(0, 0);
+    dfa.setStartState(last);
+    for (let i = 1; i < 3000; i++) {
+      const state = dfa.addState(i, 0);
+      dfa.addTransition(last, state, "a");
+      last = state;
+    }
+    last.isAccept = true;
+    assert.deepEqual(dfa.languageSize(), {
+      kind: "finite",
+      count: 1n,
+      longest: 2999,
+    });
+  });
+});
+
+describe("documents", () => {
+  test("JSON export loads back unchanged", () => {
+    const dfa = automaton(ENDS_IN_ONE);
+    dfa.tests = [{ input: "01", expect: true }];
+    const copy = new DFA();
+    copy.load(JSON.parse(JSON.stringify(dfa.toJSON())));
+    assert.deepEqual(copy.toJSON(), dfa.toJSON());
+  });
+
+  test("load rejects documents in other formats", () => {
+    assert.throws(
+      () => new DFA().load({ format: "other" }),
+      /Invalid DFA document: unknown format 'other'/,
+    );
+  });
+
+  test("load rejects dangling targets, unknown symbols and duplicate ids", () => {
+    const broken = (change) => {
+      const doc = automaton(ENDS_IN_ONE).toJSON();
+      change(doc);
+      return () => new DFA().load(doc);
+    };
+    assert.throws(
+      broken((doc) => {
+        doc.states[0].transitions["0"] = 99;
+      }),
+      /transition on '0' to missing state 99/,
+    );
+    assert.throws(
+      broken((doc) => {
+        doc.states[0].transitions["2"] = doc.states[0].id;
+      }),
+      /transition on '2', which is not in the alphabet/,
+    );
+    assert.throws(
+      broken((doc) => {
+        doc.states[1].id = doc.states[0].id;
+      }),
+      /duplicate state id/,
+    );
+
+    const dfa = automaton(ENDS_IN_ONE);
+    assert.throws(
+      () => dfa.load({ ...dfa.toJSON(), states: [{ id: 0, transitions: {} }] }),
+      /Invalid DFA document/,
+    );
+    assert.equal(dfa.states.length, 2);
+  });
+
+  test("text import errors give the line and column", () => {
+    assert.throws(
+      () => parseAutomatonText("    0 1\n->q0 q1 q9\n*q1 q1 q1", "table"),
+      (err) => err instanceof ParseError && err.line === 2,
+    );
+  });
+
+  test("DOT import reads start and accepting states", () => {
+    const dfa = automaton(`digraph {
+      start [shape=none];
+      q1 [shape=doublecircle];
+      start -> q0;
+      q0 -> q1 [label="a"];
+      q1 -> q1 [label="a, ${EPSILON}"];
+    }`);
+    assert.equal(dfa.type, "enfa");
+    assert.equal(dfa.startState.name, "q0");
+    assert.equal(accepts(dfa, "aaa"), true);
+  });
+});
+
+describe("test suites", () => {
+  test("parse arrows, CSV and the empty string", () => {
+    assert.deepEqual(parseTestSuite("input,expected\n01,accept\nε → reject"), [
+      { input: "01", expect: true },
+      { input: "", expect: false },
+    ]);
+  });
+
+  test("runTests reports each case", () => {
+    const results = automaton(ENDS_IN_ONE).runTests(
+      parseTestSuite("1 -> accept\n10 -> accept"),
+    );
+    assert.deepEqual(
+      results.map((result) => result.passed),
+      [true, false],
+    );
+  });
+});
+
+// Writes the parity of the 1s read so far: e for even, o for odd.
+function parityMoore() {
+  const dfa = automaton(`
+        0   1
+    ->e e   o
+     *o o   e
+  `);
+  dfa.setMachine("moore");
+  dfa.setOutputAlphabet(["e", "o"]);
+  dfa.states.forEach((state) => {
+    state.output = state.name;
+  });
+  return dfa;
+}
+
+describe("transducers", () => {
+  test("a Moore machine writes the output of every state it enters", () => {
+    const result = parityMoore().simulate("0110");
+    assert.equal(result.outputString, "eeoee");
+    assert.deepEqual(
+      result.trace.map((step) => step.output),
+      ["e", "e", "o", "e", "e"],
+    );
+  });
+
+  test("a missing output stops the run", () => {
+    const dfa = parityMoore();
+    dfa.states[1].output = null;
+    const result = dfa.simulate("11");
+    assert.equal(result.accepted, false);
+    assert.equal(result.outputString, "e");
+    assert.equal(result.error, "o has no output");
+  });
+
+  test("Moore and Mealy conversions keep the output", () => {
+    const mealy = parityMoore().toMealy();
+    assert.equal(mealy.machine, "mealy");
+    assert.equal(mealy.states.length, 2);
+    assert.equal(mealy.simulate("0110").outputString, "eoee");
+    const moore = mealy.toMoore();
+    assert.equal(moore.machine, "moore");
+    assert.equal(moore.simulate("0110").outputString, "eeoee");
+    assert.deepEqual(
+      moore.states.map((state) => state.name),
+      ["e/e", "o/o"],
+    );
+  });
+
+  test("outputs round-trip through JSON and are checked on load", () => {
+    const mealy = parityMoore().toMealy();
+    const copy = new DFA();
+    copy.load(JSON.parse(JSON.stringify(mealy.toJSON())));
+    assert.deepEqual(copy.toJSON(), mealy.toJSON());
+    const doc = mealy.toJSON();
+    doc.states[0].outputs["0"] = "x";
+    assert.throws(() => new DFA().load(doc), /'x'/);
+  });
+
+  test("DOT export labels edges with their outputs", () => {
+    const mealy = parityMoore().toMealy();
+    assert.match(mealy.toDot(), /label="0\/e"/);
+  });
+
+  test("only deterministic machines can write output", () => {
+    const nfa = automaton(`
+          0       1
+      ->a {a}     {a,b}
+       *b -       -
+    `);
+    assert.throws(() => nfa.setMachine("mealy"), /Convert to DFA first/);
+  });
+});
+
+// aⁿbⁿ for n ≥ 1: push an A for every a, pop one for every b, and
+// accept once only the bottom marker Z is left.
+function anbn() {
+  const pda = new DFA();
+  pda.alphabet = new Set(["a", "b"]);
+  pda.setType("pda");
+  pda.setStackAlphabet(["Z", "A"]);
+  const [push, pop, done] = [0, 1, 2].map((i) => pda.addState(i * 100, 0));
+  pda.setStartState(push);
+  done.isAccept = true;
+  const rule = (from, to, symbol, stack, word) =>
+    pda.addStackRule(from, to, {
+      symbol,
+      pop: stack,
+      push: pda.parseStackWord(word),
+    });
+  rule(push, push, "a", "Z", "AZ");
+  rule(push, push, "a", "A", "AA");
+  rule(push, pop, "b", "A", "");
+  rule(pop, pop, "b", "A", "");
+  rule(pop, done, EPSILON, "Z", "Z");
+  return pda;
+}
+
+describe("pushdown automata", () => {
+  test("accept by final state and show the stack on the accepting branch", () => {
+    const pda = anbn();
+    assert.equal(accepts(pda, "aabb"), true);
+    assert.equal(accepts(pda, "aab"), false);
+    assert.equal(accepts(pda, "abab"), false);
+    const { trace } = pda.simulate("ab");
+    assert.deepEqual(
+      trace.map((step) => [step.rule, pda.displayStack(step.stack)]),
+      [
+        [null, "Z"],
+        ["a, Z → AZ", "AZ"],
+        ["b, A → ε", "Z"],
+        ["ε, Z → Z", "Z"],
+      ],
+    );
+  });
+
+  test("accept by empty stack", () => {
+    const pda = anbn();
+    pda.acceptBy = "empty";
+    assert.equal(accepts(pda, "ab"), false);
+    pda.addStackRule(pda.states[1], pda.states[1], {
+      symbol: EPSILON,
+      pop: "Z",
+      push: [],
+    });
+    assert.equal(accepts(pda, "ab"), true);
+    assert.equal(accepts(pda, "abb"), false);
+  });
+
+  test("TikZ and DOT exports label edges with the rules", () => {
+    const pda = anbn();
+    const dot = pda.toDot();
+    assert.match(dot, /s0 -> s0 \[label="a, Z → AZ \| a, A → AA"\]/);
+    assert.match(dot, /s1 -> s2 \[label="ε, Z → Z"\]/);
+    assert.match(
+      pda.toTikz(),
+      /node \{\$\\varepsilon\$, Z \$\\to\$ Z\} \(s2\)/,
+    );
+  });
+
+  test("the search stops at the configuration limit", () => {
+    const pda = anbn();
+    pda.addStackRule(pda.states[0], pda.states[0], {
+      symbol: EPSILON,
+      pop: null,
+      push: ["A"],
+    });
+    pda.searchLimit = 50;
+    const result = pda.simulate("ba");
+    assert.equal(result.accepted, false);
+    assert.equal(result.explored, 50);
+    assert.match(result.error, /first 50 configurations/);
+    assert.equal(accepts(pda, "aabb"), true);
+  });
+
+  test("rules round-trip through JSON and type changes check the stack", () => {
+    const pda = anbn();
+    const copy = new DFA();
+    copy.load(JSON.parse(JSON.stringify(pda.toJSON())));
+    assert.deepEqual(copy.toJSON(), pda.toJSON());
+    assert.equal(accepts(copy, "aaabbb"), true);
+    assert.throws(() => pda.setType("enfa"), /use the stack/);
+    assert.throws(() => pda.toDFA(), /pushdown/);
+
+    const nfa = automaton(ENDS_IN_ONE);
+    nfa.setType("pda");
+    assert.equal(accepts(nfa, "101"), true);
+    nfa.setType("dfa");
+    assert.equal(accepts(nfa, "10"), false);
+  });
+});
+
+describe("grading", () => {
+  test("accepts an equivalent submission with extra states", () => {
+    const report = gradeSubmission(
+      automaton(ENDS_IN_ONE),
+      automaton(`
+          0   1
+      ->a a   b
+       *b c   b
+        c c   b
+      `),
+    );
+    assert.equal(report.equivalent, true);
+    assert.equal(report.counterexample, null);
+    assert.equal(report.states, 3);
+    assert.equal(report.minimalStates, 2);
+    assert.deepEqual(report.issues, []);
+  });
+
+  test("reports the counterexample and structural problems", () => {
+    const reference = automaton(ENDS_IN_ONE);
+    reference.tests = parseTestSuite("1 → accept\n0 → reject");
+    const report = gradeSubmission(
+      reference,
+      automaton(`
+          0   2
+      ->a -   b
+       *b b   -
+      `),
+    );
+    assert.equal(report.equivalent, false);
+    assert.equal(report.counterexample, "1");
+    assert.equal(report.acceptedBy, "reference");
+    assert.deepEqual(report.tests, { passed: 1, total: 2 });
+    assert.deepEqual(
+      report.issues.map((issue) => issue.kind),
+      ["alphabet", "missing", "missing"],
+    );
+  });
+
+  test("counts one state for an empty reference language", () => {
+    const empty = automaton(`
+          0
+      ->q0 q1
+        q1 q1
+    `);
+    assert.equal(minimalStateCount(empty), 1);
+    assert.equal(gradeSubmission(empty, empty).minimalStates, 1);
+  });
+
+  test("rejects transducers as the reference", () => {
+    const mealy = automaton(ENDS_IN_ONE);
+    mealy.setMachine("mealy");
+    assert.throws(
+      () => gradeSubmission(mealy, automaton(ENDS_IN_ONE)),
+      /Mealy and Moore machines can't be used as a reference/,
+    );
+  });
+
+  test("exports CSV with quoted fields", () => {
+    const csv = formatGradesCsv([
+      { file: "a, b.json", error: "Invalid JSON" },
+      {
+        file: "c.json",
+        ...gradeSubmission(automaton(ENDS_IN_ONE), automaton(ENDS_IN_ONE)),
+      },
+    ]);
+    assert.deepEqual(csv.split("\n").slice(1), [
+      '"a, b.json",,,,,,,,,Invalid JSON',
+      "c.json,yes,,,2,2,,,,",
+    ]);
+  });
+});
+
+describe("edit history", () => {
+  test("undoes and redoes commands by state id", () => {
+    const dfa = new DFA();
+    const history = new EditHistory();
+    history.execute(addStateCommand(dfa, 0, 0));
+    history.execute(addStateCommand(dfa, 100, 0));
+    const [q0, q1] = dfa.states;
+    history.execute(addTransitionCommand(dfa, q0.id, q1.id, "0"));
+    assert.equal(history.nextUndoLabel(), "Add transition");
+
+    history.execute(deleteStateCommand(dfa, q1.id));
+    assert.equal(dfa.states.length, 1);
+    assert.equal(history.undo(), true);
+    assert.equal(dfa.getStateById(q1.id).name, "q1");
+    assert.equal(q0.transitions["0"], dfa.getStateById(q1.id));
+
+    history.undo();
+    history.undo();
+    assert.equal(q0.transitions["0"], undefined);
+    assert.deepEqual(
+      dfa.states.map((state) => state.name),
+      ["q0"],
+    );
+    history.redo();
+    assert.equal(dfa.states[1].name, "q1");
+    assert.equal(dfa.startState, q0);
+  });
+
+  test("a new edit clears redo", () => {
+    const dfa = new DFA();
+    const history = new EditHistory();
+    history.execute(addStateCommand(dfa, 0, 0));
+    history.undo();
+    assert.equal(history.canRedo(), true);
+    history.execute(addStateCommand(dfa, 50, 50));
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.redo(), false);
+    assert.equal(dfa.states.length, 1);
+  });
+
+  test("consecutive renames of a state merge into one step", () => {
+    const dfa = new DFA();
+    const history = new EditHistory();
+    history.execute(addStateCommand(dfa, 0, 0));
+    const id = dfa.states[0].id;
+    history.execute(renameCommand(dfa, id, "s"));
+    history.execute(renameCommand(dfa, id, "st"));
+    assert.equal(dfa.states[0].name, "st");
+    history.undo();
+    assert.equal(dfa.states[0].name, "q0");
+  });
+
+  test("snapshot commands restore the whole automaton", () => {
+    const dfa = automaton(ENDS_IN_ONE);
+    const before = dfa.toJSON();
+    const history = new EditHistory();
+    history.execute(
+      snapshotCommand(dfa, "Complement", () =>
+        dfa.load(dfa.complement().toJSON()),
+      ),
+    );
+    assert.equal(accepts(dfa, "10"), true);
+    const after = dfa.toJSON();
+    history.undo();
+    assert.deepEqual(dfa.toJSON(), before);
+    history.redo();
+    assert.deepEqual(dfa.toJSON(), after);
+  });
+});